@@ -0,0 +1,29 @@
+// League of every club appearing in mockPlayers.js.  The footballers
+// only carry a club, so this is how two of them are known to share a
+// league (see pickUndercoverPlayer).  Clubs missing from this map are
+// simply treated as having no known league.
+
+module.exports = {
+  "AC Milan": "Serie A",
+  "AS Roma": "Serie A",
+  "Fiorentina": "Serie A",
+  "Inter Milan": "Serie A",
+  "Juventus": "Serie A",
+  "Lazio": "Serie A",
+  "Napoli": "Serie A",
+  "Parma": "Serie A",
+  "Atlético Madrid": "La Liga",
+  "FC Barcelona": "La Liga",
+  "Real Madrid": "La Liga",
+  "Arsenal": "Premier League",
+  "Chelsea": "Premier League",
+  "Liverpool": "Premier League",
+  "Manchester City": "Premier League",
+  "Manchester United": "Premier League",
+  "Newcastle United": "Premier League",
+  "Bayern Munich": "Bundesliga",
+  "Paris Saint‑Germain": "Ligue 1",
+  "Boca Juniors": "Liga Profesional Argentina",
+  "River Plate": "Liga Profesional Argentina",
+  "Santos": "Brasileirão",
+};
@@ -1,17 +1,24 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { randomUUID } = require('crypto');
+const { promisify } = require('util');
+const { randomUUID, randomBytes, randomInt, scrypt, timingSafeEqual } = require('crypto');
+
+const scryptAsync = promisify(scrypt);
 
 // Import the mock players.  For now the project does not depend on any
 // external API; all data is contained within this file.  Each entry
 // contains a name, club and optional image URL.
 const mockPlayers = require('./mockPlayers');
+const clubLeagues = require('./clubLeagues');
+const { createRoomStore } = require('./roomStore');
 
-// In‑memory store for all rooms.  Because persistence is not
-// required, everything lives in memory and is lost when the server
-// restarts.  Each room will have a unique id, a list of players
-// (with id, name, role, assigned player and alive flag), a state
+// Store holding all rooms.  Handlers never keep rooms around: they read
+// a copy from the store and write their changes back with
+// compare-and-set through mutateRoom (see roomStore.js for the
+// interface and the available backends, selected with ROOM_STORE).
+// Each room will have a unique id, a list of players (with id, secret
+// session token, name, role, assigned player and alive flag), a state
 // machine, collections for clues and votes, a creator id and
 // structures to support communal actions.  When players confirm
 // actions like starting a game or moving to the next phase, their
@@ -22,7 +29,348 @@ const mockPlayers = require('./mockPlayers');
 // transition when enough confirmations have been gathered.  The
 // creator (host) can also force an action regardless of how many
 // confirmations have been collected via the /force endpoint.
-const rooms = {};
+const store = createRoomStore(process.env);
+
+// Room lifecycle.  Every mutation records the time of the room's last
+// activity; a background sweeper removes rooms that stayed idle for
+// longer than ROOM_IDLE_TTL_MS, and finished games (results shown with
+// the game over) once idle for ROOM_FINISHED_TTL_MS.  MAX_ROOMS caps the
+// number of rooms that may exist at the same time.
+const ROOM_IDLE_TTL_MS = parseInt(process.env.ROOM_IDLE_TTL_MS, 10) || 2 * 60 * 60 * 1000;
+const ROOM_FINISHED_TTL_MS = parseInt(process.env.ROOM_FINISHED_TTL_MS, 10) || 30 * 60 * 1000;
+const ROOM_SWEEP_INTERVAL_MS = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 1000;
+
+// How often the presence of players is re-evaluated (see sweepPresence).
+const PRESENCE_SWEEP_INTERVAL_MS = parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS, 10) || 5000;
+
+// Default settings of a new room.  Each field can be overridden through
+// the `settings` object sent to /api/create-room (see buildRoomSettings).
+const DEFAULT_SETTINGS = {
+  // Size of the table.  A game cannot start with fewer than
+  // `minPlayers` players, and no more than `maxPlayers` may sit at the
+  // table (the names given to /api/create-room included).
+  minPlayers: 3,
+  maxPlayers: 12,
+  // Impostors always win once they are as many as the rest of the
+  // players still in play.  With a threshold they also win once no more
+  // than that many players are left in play.  null: parity only.
+  impostorWinThreshold: null,
+  // Whether people may join once a game has started, as spectators
+  // seated at the next game.  Rejoining a seat is always possible.
+  lateJoins: true,
+  // Longest clue accepted, in characters, and how many clues each
+  // player may give per round when clues are free-form (null: no
+  // limit).  With `turnOrder` every player gives exactly one.
+  clueMaxLength: 100,
+  cluesPerRound: null,
+  // Optional time limits, in seconds, for the clue phase, the voting
+  // phase and the results screen.  null means the phase only ends
+  // through /confirm or /force.
+  phaseTimers: { clues: null, voting: null, results: null },
+  // Structured clue phase: each alive player gives exactly one clue
+  // per round, in a speaking order, and voting opens once everyone has
+  // spoken.  When false clues are free-form.
+  turnOrder: false,
+  // With turnOrder, whether an impostor may be the first to speak.
+  impostorMayStart: true,
+  // Number of impostors per game.  null picks one based on the size of
+  // the table (see impostorCountFor).
+  impostorCount: null,
+  // 'classic': impostors receive no footballer and know their role.
+  // 'undercover': impostors receive a different footballer related to
+  // the secret one and are not told they are the odd ones out.
+  gameMode: 'classic',
+  // Hint privately given to the impostors about the secret footballer
+  // in classic mode: 'none', 'league' (the league of their club) or
+  // 'club'.  mockPlayers carries no position or era, so those cannot be
+  // offered as hints.
+  impostorHint: 'none',
+  // Whether an impostor who is voted out gets one last guess at the
+  // secret footballer; a correct guess wins the game for the impostors.
+  impostorGuess: true,
+  // What happens when the most voted players are tied (see showResults):
+  //   - 'revote':        every vote is cleared and the table votes again
+  //   - 'runoff':        the table votes again, only for the tied players
+  //   - 'noElimination': nobody is eliminated and play returns to clues
+  //   - 'random':        one of the tied players is drawn at random
+  //   - 'hostDecides':   the host picks one of the tied players
+  tieBreak: 'revote',
+  // What happens when most ballots are abstentions (see showResults):
+  // 'noElimination' eliminates nobody; 'ignore' eliminates the most
+  // voted player anyway.
+  skipMajority: 'noElimination',
+  // 'open': votes, and who cast them, are visible while voting.
+  // 'secret': only the number of ballots cast is shown while voting;
+  // the results first show the vote counts, and who voted for whom is
+  // revealed when the host advances (see /reveal-votes).
+  ballot: 'open',
+  // Whether the spectator view (spectators and eliminated players)
+  // shows the secret footballer and everyone's role during the game.
+  spectatorSecrets: false,
+  // Presence tracking (see updatePresence).  Clients send heartbeats to
+  // /api/room/:id/heartbeat; a player whose last heartbeat is older
+  // than `idleAfter` seconds shows as idle, and older than `goneAfter`
+  // seconds as gone.  Gone players no longer count towards the
+  // confirmations and votes the table waits for.  During a game,
+  // `whenGone` decides what else happens to them:
+  //   - 'exclude':   nothing; they count again as soon as they are back
+  //   - 'eliminate': they are eliminated, as if voted out
+  //   - 'spectate':  they become spectators (except the host)
+  // Players who never sent a heartbeat always count as connected.
+  presence: { idleAfter: 20, goneAfter: 60, whenGone: 'exclude' },
+  // Whether the host role passes on by itself when the host is gone
+  // (see hostHeir): it goes to the first player, in seat order, who is
+  // still connected.
+  hostSuccession: true,
+  // 'public' rooms are listed by /api/lobbies while in the lobby;
+  // 'private' rooms can only be found through their id or code.
+  visibility: 'private',
+  // Points awarded at the end of each game (see scoreVote and
+  // closeGameScores).  Negative values are penalties.
+  scoring: {
+    // To each impostor, for every vote they survive
+    impostorRound: 1,
+    // To each impostor, when the impostors win
+    impostorWin: 3,
+    // To each crew member who voted for an impostor
+    correctVote: 2,
+    // To each crew member who voted for an innocent player who was
+    // then eliminated
+    wrongElimination: -1,
+  },
+};
+
+// Largest number of points (or of penalty points) a scoring rule may give.
+const MAX_RULE_POINTS = 10;
+
+// Game modes accepted by the `gameMode` setting.
+const GAME_MODES = ['classic', 'undercover'];
+
+// Values accepted by the `tieBreak` setting.
+const TIE_BREAKS = ['revote', 'runoff', 'noElimination', 'random', 'hostDecides'];
+
+// Values accepted by the `skipMajority` setting.
+const SKIP_MAJORITY_RULES = ['noElimination', 'ignore'];
+
+// Values accepted by the `visibility` setting.
+const VISIBILITIES = ['private', 'public'];
+
+// Longest join password accepted, in characters.
+const MAX_PASSWORD_LENGTH = 64;
+
+// Values accepted by the `ballot` setting.
+const BALLOT_MODES = ['open', 'secret'];
+
+// Values accepted by the `impostorHint` setting, from least to most
+// revealing.
+const HINT_LEVELS = ['none', 'league', 'club'];
+
+// Smallest and largest table a room may be set up for.  Below three
+// players a game would start with the impostor already at parity.
+const MIN_TABLE_SIZE = 3;
+const MAX_TABLE_SIZE = 20;
+
+// Longest player name accepted, in characters.
+const MAX_NAME_LENGTH = 24;
+
+// Longest clue a room may allow, in characters, and most clues per
+// round a room may allow each player.
+const MAX_CLUE_LENGTH = 500;
+const MAX_CLUES_PER_ROUND = 10;
+
+// Longest time limit accepted for a phase, in seconds.
+const MAX_PHASE_SECONDS = 3600;
+
+// Values accepted by the `presence.whenGone` setting.
+const ABSENCE_POLICIES = ['exclude', 'eliminate', 'spectate'];
+
+// Longest absence accepted for the presence thresholds, in seconds.
+const MAX_PRESENCE_SECONDS = 3600;
+
+// Most impostors a room may ask for.  The actual number is further
+// capped by the size of the table (see impostorCountFor).
+const MAX_IMPOSTORS = 5;
+
+/**
+ * Builds the settings of a room from the (optional) `settings` object
+ * of a /api/create-room request, or from the changes sent to
+ * /api/room/:id/settings in the lobby.  Anything not given keeps its
+ * value in `base`, the current settings of the room, falling back to
+ * DEFAULT_SETTINGS.  Returns `{ settings }`, or `{ errors }` mapping
+ * each invalid field to a message.
+ *
+ * @param {Object} [input]
+ * @param {Object} [base]
+ */
+function buildRoomSettings(input, base) {
+  const errors = {};
+  const settings = JSON.parse(JSON.stringify({ ...DEFAULT_SETTINGS, ...(base || {}) }));
+  if (input === undefined || input === null) return { settings };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: { settings: 'Must be an object' } };
+  }
+  if (input.phaseTimers !== undefined) {
+    if (!input.phaseTimers || typeof input.phaseTimers !== 'object') {
+      errors.phaseTimers = 'Must be an object';
+    } else {
+      ['clues', 'voting', 'results'].forEach(phase => {
+        const value = input.phaseTimers[phase];
+        if (value === undefined) return;
+        if (value === null) {
+          settings.phaseTimers[phase] = null;
+          return;
+        }
+        if (!Number.isInteger(value) || value <= 0 || value > MAX_PHASE_SECONDS) {
+          errors[`phaseTimers.${phase}`] = `Must be null or a number of seconds between 1 and ${MAX_PHASE_SECONDS}`;
+          return;
+        }
+        settings.phaseTimers[phase] = value;
+      });
+    }
+  }
+  if (input.scoring !== undefined) {
+    if (!input.scoring || typeof input.scoring !== 'object') {
+      errors.scoring = 'Must be an object';
+    } else {
+      Object.keys(DEFAULT_SETTINGS.scoring).forEach(rule => {
+        const value = input.scoring[rule];
+        if (value === undefined) return;
+        if (!Number.isInteger(value) || Math.abs(value) > MAX_RULE_POINTS) {
+          errors[`scoring.${rule}`] = `Must be a whole number between -${MAX_RULE_POINTS} and ${MAX_RULE_POINTS}`;
+          return;
+        }
+        settings.scoring[rule] = value;
+      });
+    }
+  }
+  if (input.presence !== undefined) {
+    if (!input.presence || typeof input.presence !== 'object') {
+      errors.presence = 'Must be an object';
+    } else {
+      ['idleAfter', 'goneAfter'].forEach(field => {
+        const value = input.presence[field];
+        if (value === undefined) return;
+        if (!Number.isInteger(value) || value <= 0 || value > MAX_PRESENCE_SECONDS) {
+          errors[`presence.${field}`] = `Must be a number of seconds between 1 and ${MAX_PRESENCE_SECONDS}`;
+          return;
+        }
+        settings.presence[field] = value;
+      });
+      if (input.presence.whenGone !== undefined) {
+        if (!ABSENCE_POLICIES.includes(input.presence.whenGone)) {
+          errors['presence.whenGone'] = `Must be one of: ${ABSENCE_POLICIES.join(', ')}`;
+        } else {
+          settings.presence.whenGone = input.presence.whenGone;
+        }
+      }
+      if (!errors['presence.idleAfter'] && !errors['presence.goneAfter']
+        && settings.presence.goneAfter <= settings.presence.idleAfter) {
+        errors['presence.goneAfter'] = 'Must be longer than presence.idleAfter';
+      }
+    }
+  }
+  if (input.impostorCount !== undefined) {
+    const value = input.impostorCount;
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_IMPOSTORS)) {
+      errors.impostorCount = `Must be null or a whole number between 1 and ${MAX_IMPOSTORS}`;
+    } else {
+      settings.impostorCount = value;
+    }
+  }
+  ['minPlayers', 'maxPlayers'].forEach(field => {
+    const value = input[field];
+    if (value === undefined) return;
+    if (!Number.isInteger(value) || value < MIN_TABLE_SIZE || value > MAX_TABLE_SIZE) {
+      errors[field] = `Must be a whole number between ${MIN_TABLE_SIZE} and ${MAX_TABLE_SIZE}`;
+      return;
+    }
+    settings[field] = value;
+  });
+  if (!errors.minPlayers && !errors.maxPlayers && settings.minPlayers > settings.maxPlayers) {
+    errors[input.maxPlayers !== undefined ? 'maxPlayers' : 'minPlayers'] = 'minPlayers cannot be more than maxPlayers';
+  }
+  if (input.impostorWinThreshold !== undefined) {
+    const value = input.impostorWinThreshold;
+    if (value !== null && (!Number.isInteger(value) || value < 2 || value > MAX_TABLE_SIZE)) {
+      errors.impostorWinThreshold = `Must be null or a whole number between 2 and ${MAX_TABLE_SIZE}`;
+    } else {
+      settings.impostorWinThreshold = value;
+    }
+  }
+  if (!errors.impostorWinThreshold && !errors.minPlayers && settings.impostorWinThreshold !== null
+    && settings.impostorWinThreshold >= settings.minPlayers) {
+    // Otherwise a game could be won by the impostors before it starts
+    errors.impostorWinThreshold = 'Must be lower than minPlayers';
+  }
+  if (input.clueMaxLength !== undefined) {
+    const value = input.clueMaxLength;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CLUE_LENGTH) {
+      errors.clueMaxLength = `Must be a whole number between 1 and ${MAX_CLUE_LENGTH}`;
+    } else {
+      settings.clueMaxLength = value;
+    }
+  }
+  if (input.cluesPerRound !== undefined) {
+    const value = input.cluesPerRound;
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_CLUES_PER_ROUND)) {
+      errors.cluesPerRound = `Must be null or a whole number between 1 and ${MAX_CLUES_PER_ROUND}`;
+    } else {
+      settings.cluesPerRound = value;
+    }
+  }
+  if (input.gameMode !== undefined) {
+    if (!GAME_MODES.includes(input.gameMode)) {
+      errors.gameMode = `Must be one of: ${GAME_MODES.join(', ')}`;
+    } else {
+      settings.gameMode = input.gameMode;
+    }
+  }
+  if (input.tieBreak !== undefined) {
+    if (!TIE_BREAKS.includes(input.tieBreak)) {
+      errors.tieBreak = `Must be one of: ${TIE_BREAKS.join(', ')}`;
+    } else {
+      settings.tieBreak = input.tieBreak;
+    }
+  }
+  if (input.skipMajority !== undefined) {
+    if (!SKIP_MAJORITY_RULES.includes(input.skipMajority)) {
+      errors.skipMajority = `Must be one of: ${SKIP_MAJORITY_RULES.join(', ')}`;
+    } else {
+      settings.skipMajority = input.skipMajority;
+    }
+  }
+  if (input.ballot !== undefined) {
+    if (!BALLOT_MODES.includes(input.ballot)) {
+      errors.ballot = `Must be one of: ${BALLOT_MODES.join(', ')}`;
+    } else {
+      settings.ballot = input.ballot;
+    }
+  }
+  if (input.visibility !== undefined) {
+    if (!VISIBILITIES.includes(input.visibility)) {
+      errors.visibility = `Must be one of: ${VISIBILITIES.join(', ')}`;
+    } else {
+      settings.visibility = input.visibility;
+    }
+  }
+  if (input.impostorHint !== undefined) {
+    if (!HINT_LEVELS.includes(input.impostorHint)) {
+      errors.impostorHint = `Must be one of: ${HINT_LEVELS.join(', ')}`;
+    } else {
+      settings.impostorHint = input.impostorHint;
+    }
+  }
+  ['turnOrder', 'impostorMayStart', 'impostorGuess', 'spectatorSecrets', 'hostSuccession', 'lateJoins'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'boolean') {
+      errors[field] = 'Must be a boolean';
+      return;
+    }
+    settings[field] = input[field];
+  });
+  return Object.keys(errors).length > 0 ? { errors } : { settings };
+}
 
 /**
  * Helper to compute the required number of confirmations for a given
@@ -31,38 +379,158 @@ const rooms = {};
  * require participation from all players (e.g. starting a game or
  * initiating a new round).  Eliminated players (alive === false)
  * remain in the room but do not count towards the required count for
- * actions involving only active gameplay.
+ * actions involving only active gameplay.  Players whose presence is
+ * 'gone' (see updatePresence) do not count for any action.
  *
  * @param {Object} room The room object
  * @param {string} action One of 'start', 'votePhase', 'nextClue', 'nextRound'
  */
 function requiredConfirmations(room, action) {
+  const present = room.players.filter(isPresent);
   switch (action) {
     case 'start':
       // At the beginning all players are alive; this uses the total count
-      return room.players.length;
+      return present.length;
     case 'votePhase':
     case 'nextClue':
       // Only alive players participate in clue and vote phases
-      return room.players.filter(p => p.alive).length;
+      return present.filter(p => p.alive).length;
     case 'showResults':
       // To reveal results we require confirmations from all alive players.  Eliminated
       // participants no longer take an active role, so they are excluded from the
       // required count.  This ensures that results are only computed when every
       // surviving player agrees to see them.
-      return room.players.filter(p => p.alive).length;
+      return present.filter(p => p.alive).length;
     case 'nextRound':
       // Everyone (alive or eliminated) must opt in for a new game
-      return room.players.length;
+      return present.length;
     default:
       return 0;
   }
 }
 
+/**
+ * Whether a room may be listed publicly (see the `visibility` setting).
+ * Rooms created before the setting existed are private.
+ *
+ * @param {Object} room
+ */
+function isPublicRoom(room) {
+  return !!room.settings && room.settings.visibility === 'public';
+}
+
+/**
+ * Returns the table size limits of a room (see DEFAULT_SETTINGS),
+ * falling back to the defaults for rooms created before they existed.
+ *
+ * @param {Object} room
+ */
+function tableLimits(room) {
+  const settings = room.settings || {};
+  return {
+    minPlayers: settings.minPlayers || DEFAULT_SETTINGS.minPlayers,
+    maxPlayers: settings.maxPlayers || DEFAULT_SETTINGS.maxPlayers,
+  };
+}
+
+/**
+ * Returns how many players are missing to reach the room's
+ * `minPlayers` for `action` ('start' or 'nextRound'), or 0 when the
+ * table is big enough.  For the next game the spectators waiting to be
+ * seated count too (see promoteSpectators).
+ *
+ * @param {Object} room
+ * @param {string} action
+ */
+function missingPlayers(room, action) {
+  const { minPlayers, maxPlayers } = tableLimits(room);
+  // Unclaimed seats are released when the game is dealt
+  let seated = room.players.filter(p => p.claimed !== false).length;
+  if (action === 'nextRound') {
+    const waiting = (room.spectators || []).filter(s => s.joinNextGame).length;
+    seated = Math.min(maxPlayers, seated + waiting);
+  }
+  return Math.max(0, minPlayers - seated);
+}
+
+/**
+ * Performs a communal action once enough players confirmed it (see
+ * /confirm).  Clearing confirmations is handled per action to allow
+ * showResults to validate votes before discarding confirmations.
+ * Returns the outcome of showResults for 'showResults' (results
+ * require every alive player's vote and a clear majority; otherwise
+ * the error is broadcast and players may confirm again), and `{}` for
+ * the other actions.
+ *
+ * @param {Object} room
+ * @param {string} action
+ */
+function runConfirmedAction(room, action) {
+  switch (action) {
+    case 'start':
+      // Begin first round
+      startGame(room);
+      return {};
+    case 'votePhase':
+      startVotePhase(room);
+      room.confirmations.votePhase = [];
+      return {};
+    case 'nextClue':
+      startNextClueRound(room);
+      room.confirmations.nextClue = [];
+      return {};
+    case 'nextRound':
+      startNewGame(room);
+      room.confirmations.nextRound = [];
+      return {};
+    case 'showResults':
+      return showResults(room);
+    default:
+      return {};
+  }
+}
+
+/**
+ * Returns how many impostors a game with `playerCount` alive players
+ * gets.  Without an explicit `impostorCount` setting small tables get
+ * one impostor, tables of 7 to 10 get two and larger ones three.  The
+ * impostors are always kept fewer than the rest of the table, which
+ * would otherwise start the game already at parity.
+ *
+ * @param {Object} room
+ * @param {number} playerCount
+ */
+function impostorCountFor(room, playerCount) {
+  const configured = room.settings && room.settings.impostorCount;
+  let count = configured || (playerCount <= 6 ? 1 : playerCount <= 10 ? 2 : 3);
+  count = Math.min(count, Math.floor((playerCount - 1) / 2));
+  return Math.max(count, 1);
+}
+
+/**
+ * Picks the footballer given to the impostors in undercover mode: a
+ * different player from the same club as the secret one or, when the
+ * club has nobody else, from the same league.  Era data is not part of
+ * mockPlayers, so the last resort is any other player.
+ *
+ * @param {Object} soccerPlayer The secret footballer of the round
+ */
+function pickUndercoverPlayer(soccerPlayer) {
+  const others = mockPlayers.filter(p => p.name !== soccerPlayer.name);
+  const sameClub = others.filter(p => p.club === soccerPlayer.club);
+  if (sameClub.length > 0) return randomElement(sameClub);
+  const league = clubLeagues[soccerPlayer.club];
+  const sameLeague = league ? others.filter(p => clubLeagues[p.club] === league) : [];
+  if (sameLeague.length > 0) return randomElement(sameLeague);
+  return randomElement(others);
+}
+
 /**
  * Assign roles and a soccer player to all alive participants at the
- * beginning of a round.  One of the alive players becomes the
- * impostor and the rest receive the same soccer player.  Eliminated
+ * beginning of a round.  Some of the alive players (see
+ * impostorCountFor) become impostors and the rest receive the same
+ * soccer player.  In undercover mode the impostors receive a related
+ * footballer instead of none (see pickUndercoverPlayer).  Eliminated
  * players retain their previous role (null) and assigned player.
  *
  * @param {Object} room The room to initialise
@@ -71,38 +539,78 @@ function assignRolesForRound(room) {
   // Choose a soccer player randomly and assign to all alive players
   const soccerPlayer = randomElement(mockPlayers);
   room.soccerPlayer = soccerPlayer;
-  // Pick a random alive player as the impostor
-  const aliveIndices = room.players
-    .map((p, idx) => (p.alive ? idx : null))
-    .filter(idx => idx !== null);
-  const impostorIndex = aliveIndices[Math.floor(Math.random() * aliveIndices.length)];
-  room.players.forEach((p, idx) => {
+  const undercover = isUndercover(room);
+  room.undercoverPlayer = undercover ? pickUndercoverPlayer(soccerPlayer) : null;
+  // Pick random alive players as the impostors
+  const aliveIds = room.players.filter(p => p.alive).map(p => p.id);
+  room.impostorCount = impostorCountFor(room, aliveIds.length);
+  const impostorIds = shuffle(aliveIds).slice(0, room.impostorCount);
+  room.players.forEach(p => {
     if (!p.alive) {
       // Eliminated players retain null role and assigned player
       p.role = null;
       p.assignedPlayer = null;
       return;
     }
-    if (idx === impostorIndex) {
+    if (impostorIds.includes(p.id)) {
       p.role = 'impostor';
-      p.assignedPlayer = null;
+      p.assignedPlayer = room.undercoverPlayer;
     } else {
       p.role = 'player';
       p.assignedPlayer = soccerPlayer;
     }
   });
+  logEvent(room, 'rolesAssigned', {
+    impostorIds,
+    soccerPlayerName: soccerPlayer.name,
+    undercoverPlayerName: room.undercoverPlayer ? room.undercoverPlayer.name : null,
+  }, true);
+  // Each participant learns their own assignment privately
+  room.players.forEach(p => {
+    emitPlayerEvent(room, p.id, 'role', { player: privatePlayerView(p, room) });
+  });
+}
+
+/**
+ * Starts the first game of a room out of the lobby: confirmations are
+ * reset, roles assigned and the first clue round begins.  Shared by
+ * /start and the `start` action of /confirm and /force.
+ *
+ * @param {Object} room The room to start
+ */
+function startGame(room) {
+  Object.keys(room.confirmations).forEach(key => {
+    room.confirmations[key] = [];
+  });
+  room.gameAwards = [];
+  room.awaiting = null;
+  releaseUnclaimedSeats(room);
+  promoteSpectators(room);
+  room.gameNumber = (room.gameNumber || 0) + 1;
+  room.round = 1;
+  logEvent(room, 'gameStarted', { playerIds: room.players.map(p => p.id) });
+  // Prepare roles for the first round
+  assignRolesForRound(room);
+  room.state = 'clues';
+  drawSpeakingOrder(room);
+  phaseChanged(room);
 }
 
 /**
  * Reset the room to begin a completely new game.  All players are
  * marked alive, roles and assignments are cleared, clues and votes
- * emptied and confirmations reset.  A new round is immediately
+ * emptied and confirmations reset.  Spectators who asked to play are
+ * seated (see promoteSpectators).  A new round is immediately
  * initialised and the state is set to 'clues'.  This function is
  * called when a new round is started after the game is over.
  *
  * @param {Object} room The room to reset
  */
 function startNewGame(room) {
+  // Free the seats nobody claimed and seat the spectators waiting for
+  // this game
+  releaseUnclaimedSeats(room);
+  promoteSpectators(room);
   // Bring all players back to life and clear previous roles/assignments
   room.players.forEach(p => {
     p.alive = true;
@@ -112,6 +620,9 @@ function startNewGame(room) {
   // Clear clues and votes
   room.clues = [];
   room.votes = [];
+  // Points of the previous game have been credited; the leaderboard
+  // (room.scores) carries over
+  room.gameAwards = [];
   // Reset result flags
   room.gameOver = false;
   room.impostorWon = false;
@@ -123,9 +634,14 @@ function startNewGame(room) {
   Object.keys(room.confirmations).forEach(key => {
     room.confirmations[key] = [];
   });
+  room.gameNumber = (room.gameNumber || 0) + 1;
+  room.round = 1;
+  logEvent(room, 'gameStarted', { playerIds: room.players.map(p => p.id) });
   // Assign roles for the first round and switch to clues phase
   assignRolesForRound(room);
   room.state = 'clues';
+  drawSpeakingOrder(room);
+  phaseChanged(room);
 }
 
 /**
@@ -149,8 +665,11 @@ function startNextClueRound(room) {
   room.awaiting = null;
   // State returns to clues
   room.state = 'clues';
+  room.round = (room.round || 1) + 1;
+  drawSpeakingOrder(room);
   // Clear any residual error message for new clue round
   room.errorMessage = null;
+  phaseChanged(room);
 }
 
 /**
@@ -161,7 +680,143 @@ function startNextClueRound(room) {
  */
 function startVotePhase(room) {
   room.state = 'voting';
+  room.tie = null;
   room.confirmations.votePhase = [];
+  phaseChanged(room);
+}
+
+/**
+ * Draws the speaking order of a clue round when the room uses
+ * `turnOrder`.  The alive players are seated in a random order at the
+ * start of every game; each round the first speaker moves one seat
+ * along, so everyone gets to open a round.  With `impostorMayStart`
+ * disabled the start skips ahead past impostors.  Without `turnOrder`
+ * the speaking order is cleared and clues are free-form.
+ *
+ * @param {Object} room
+ */
+function drawSpeakingOrder(room) {
+  room.turnIndex = 0;
+  if (!room.settings || !room.settings.turnOrder) {
+    room.speakingOrder = null;
+    return;
+  }
+  if (room.round === 1 || !Array.isArray(room.seating)) {
+    room.seating = shuffle(room.players.map(p => p.id));
+  }
+  const alive = room.seating.filter(id => room.players.some(p => p.id === id && p.alive));
+  if (alive.length === 0) {
+    room.speakingOrder = [];
+    return;
+  }
+  let start = ((room.round || 1) - 1) % alive.length;
+  if (!room.settings.impostorMayStart) {
+    const isImpostor = id => room.players.some(p => p.id === id && p.role === 'impostor');
+    for (let i = 0; i < alive.length && isImpostor(alive[start]); i++) {
+      start = (start + 1) % alive.length;
+    }
+  }
+  room.speakingOrder = alive.slice(start).concat(alive.slice(0, start));
+  skipAbsentSpeakers(room);
+}
+
+/**
+ * Moves the turn past speakers who cannot talk: players who are gone
+ * (see updatePresence), were eliminated or left the table since the
+ * speaking order was drawn.  Gone players keep their place in the
+ * order, but lose their turn if it comes while they are away.
+ *
+ * @param {Object} room
+ */
+function skipAbsentSpeakers(room) {
+  const absent = id => {
+    const p = room.players.find(pl => pl.id === id);
+    return !p || !p.alive || !isPresent(p);
+  };
+  while (currentSpeaker(room) && absent(currentSpeaker(room))) {
+    room.turnIndex = (room.turnIndex || 0) + 1;
+  }
+}
+
+/**
+ * Returns the id of the player whose turn it is to give a clue, or
+ * null when the room is not in a turn-ordered clue phase (or everyone
+ * has already spoken).
+ *
+ * @param {Object} room
+ */
+function currentSpeaker(room) {
+  if (room.state !== 'clues' || !Array.isArray(room.speakingOrder)) return null;
+  return room.speakingOrder[room.turnIndex || 0] || null;
+}
+
+/**
+ * Sets the deadline of the current phase from the room's phase timers:
+ * the clue phase, the voting phase and the results screen (while a next
+ * step is awaited) can each have a limit.  Clears the deadline when the
+ * phase has no limit.  The timer itself is scheduled by
+ * schedulePhaseTimer once the change has been stored.
+ *
+ * @param {Object} room
+ */
+function armPhaseTimer(room) {
+  const timers = (room.settings && room.settings.phaseTimers) || {};
+  let seconds = null;
+  if (room.state === 'clues') {
+    seconds = timers.clues;
+  } else if (room.state === 'voting') {
+    seconds = timers.voting;
+  } else if (room.state === 'results' && room.awaiting) {
+    seconds = timers.results;
+  }
+  room.phaseEndsAt = seconds ? Date.now() + seconds * 1000 : null;
+}
+
+/**
+ * Runs the transition of a phase whose time limit has run out, exactly
+ * as if everyone had confirmed it:
+ *
+ *   - clues:   the vote phase starts.
+ *   - voting:  results are computed; alive players who have not voted
+ *              are treated as abstaining.  A tie still resets the votes
+ *              (with a fresh voting timer).
+ *   - results: the next clue round or the next game starts, whichever
+ *              is awaited; a pending impostor guess counts as missed.
+ *
+ * Does nothing if the phase has moved on since the timer was scheduled.
+ *
+ * @param {Object} room
+ * @param {number} endsAt The deadline the timer was scheduled for
+ */
+function expirePhase(room, endsAt) {
+  if (room.phaseEndsAt !== endsAt) return;
+  markRoomChanged(room);
+  logEvent(room, 'phaseTimeout', { state: room.state, awaiting: room.awaiting });
+  switch (room.state) {
+    case 'clues':
+      startVotePhase(room);
+      break;
+    case 'voting':
+      showResults(room, { abstainMissing: true, timedOut: true });
+      break;
+    case 'results':
+      if (room.awaiting === 'nextClue') {
+        startNextClueRound(room);
+      } else if (room.awaiting === 'nextRound') {
+        if (missingPlayers(room, 'nextRound') > 0) {
+          // Wait for more players; the game starts through /confirm
+          room.phaseEndsAt = null;
+          broadcastError(room, `Se necesitan al menos ${tableLimits(room).minPlayers} jugadores para empezar una partida.`);
+        } else {
+          startNewGame(room);
+        }
+      } else if (room.awaiting === 'impostorGuess') {
+        resolveImpostorGuess(room, null);
+      }
+      break;
+    default:
+      room.phaseEndsAt = null;
+  }
 }
 
 /**
@@ -241,116 +896,1804 @@ function generateId() {
   return randomUUID().replace(/-/g, '');
 }
 
-// Utility to compute results when voting ends.  Returns an object
-// containing message, success flag, gameOver flag, impostorWon flag,
-// a copy of votes and the list of remaining players with alive status.
-function computeResults(room) {
-  // Copy votes to return but do not clear them yet
-  const votesCopy = room.votes.slice();
-  // Compute vote counts and determine the accused player with most votes
-  const counts = {};
-  room.votes.forEach(v => {
-    counts[v.voteForId] = (counts[v.voteForId] || 0) + 1;
-  });
-  let maxVotes = 0;
-  let accusedId = null;
-  Object.entries(counts).forEach(([pid, count]) => {
-    if (count > maxVotes) {
-      maxVotes = count;
-      accusedId = pid;
-    }
-  });
-  const impostor = room.players.find(p => p.role === 'impostor');
-  const impostorId = impostor ? impostor.id : null;
-  const success = accusedId && accusedId === impostorId;
-  let gameOver = false;
-  let impostorWon = false;
-  let awaiting;
-  if (success) {
-    gameOver = true;
-    impostorWon = false;
-    awaiting = 'nextRound';
-  } else {
-    if (accusedId) {
-      const accused = room.players.find(p => p.id === accusedId);
-      if (accused) {
-        accused.alive = false;
-      }
-    }
-    const aliveCount = room.players.filter(p => p.alive).length;
-    if (aliveCount <= 2) {
-      gameOver = true;
-      impostorWon = true;
-      awaiting = 'nextRound';
-    } else {
-      gameOver = false;
-      impostorWon = false;
-      awaiting = 'nextClue';
+// Letters used in room codes.  I, L and O are left out, since they are
+// easily mistaken for 1 and 0 when read aloud or typed.
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 5;
+
+/**
+ * Generates a short room code that people can read aloud and type,
+ * different from every code in `taken`.  Codes are only unique among
+ * the rooms that exist, so the code of an expired or closed room can be
+ * handed out again.
+ *
+ * @param {Set<string>} taken Codes of the existing rooms
+ */
+function generateRoomCode(taken) {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
     }
+    if (!taken.has(code)) return code;
   }
-  return {
-    message: success
-      ? 'El impostor fue descubierto'
-      : gameOver
-      ? 'El impostor gana por quedar sólo con un jugador'
-      : 'El impostor no fue descubierto, próxima ronda',
-    success,
-    gameOver,
-    impostorWon,
-    votes: votesCopy,
-    remainingPlayers: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
-    awaiting,
-    // When the game ends (either because the impostor is discovered or the
-    // impostor wins), reveal the name of the soccer player for this round.
-    // During intermediate clue rounds the soccer player remains hidden.
-    soccerPlayerName: gameOver ? (room.soccerPlayer ? room.soccerPlayer.name : null) : null,
-  };
 }
 
 /**
- * Picks a random element from an array.  Returns undefined
- * if the array is empty.
- * @param {Array} arr
+ * Normalises a room code typed by someone: case and any spaces or
+ * dashes are ignored.  Returns null when the input cannot be a code.
+ *
+ * @param {string} input
  */
-function randomElement(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function normalizeRoomCode(input) {
+  if (typeof input !== 'string') return null;
+  const code = input.replace(/[\s-]/g, '').toUpperCase();
+  const valid = code.length === ROOM_CODE_LENGTH
+    && [...code].every(c => ROOM_CODE_ALPHABET.includes(c));
+  return valid ? code : null;
 }
 
 /**
- * Handles API requests.  All API routes are prefixed with `/api`.
- * Each endpoint expects and returns JSON.  CORS headers are
- * configured to allow any origin to access the API (useful for
- * serving the frontend from a different origin during development).
+ * Resolves with the room holding a code, or null.  The store is only
+ * indexed by room id, so this scans the rooms.
  *
- * @param {http.IncomingMessage} req
- * @param {http.ServerResponse} res
- * @param {URL} url Parsed URL object
+ * @param {string} code A normalised code (see normalizeRoomCode)
  */
-function handleApi(req, res, url) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
-  }
+async function findRoomByCode(code) {
+  const rooms = await store.list();
+  return rooms.find(room => room.code === code) || null;
+}
 
-  const sendJson = (status, obj) => {
-    res.writeHead(status, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(obj));
-  };
+/**
+ * Resolves the room id addressed by a route: either a room id, or a
+ * room code, which is looked up (see findRoomByCode).  Resolves with the
+ * input unchanged when no room holds it as a code, so the route answers
+ * 404 as usual.
+ *
+ * @param {string} idOrCode
+ */
+async function resolveRoomId(idOrCode) {
+  const code = normalizeRoomCode(decodeURIComponent(idOrCode));
+  if (!code) return idOrCode;
+  const room = await findRoomByCode(code);
+  return room ? room.id : idOrCode;
+}
 
-  const pathname = url.pathname;
+/**
+ * Generates a secret session token for a participant.  Unlike player
+ * ids, which are visible to every client through the players arrays,
+ * tokens are only ever returned to the participant they belong to (by
+ * /api/create-room or /join) and prove the caller's identity on every
+ * action route.
+ */
+function generateToken() {
+  return randomBytes(24).toString('hex');
+}
 
-  // ----------------------------------------------------------------------
-  // New API endpoints: GET /api/players and GET /api/game-state
-  //
-  // The original client code expects to fetch a list of all available
-  // soccer players via `/api/players` and a high‑level overview of
-  // current game state via `/api/game-state`.  These endpoints were
-  // missing in the initial deployment and caused 404 or 502 errors
+/**
+ * Extracts the session token from a request.  Clients send it either
+ * as `Authorization: Bearer <token>` or in the `X-Player-Token` header.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function getSessionToken(req) {
+  const auth = req.headers['authorization'];
+  if (typeof auth === 'string' && auth.startsWith('Bearer ')) {
+    return auth.slice('Bearer '.length).trim() || null;
+  }
+  const header = req.headers['x-player-token'];
+  return typeof header === 'string' && header.trim() ? header.trim() : null;
+}
+
+/**
+ * Compares two tokens in constant time so response timing does not
+ * reveal how much of a guessed token was correct.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+function tokensMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Hashes a room's join password.  Only the salted hash is stored, and
+ * it never leaves the server.  Hashing is deliberately slow, so it runs
+ * off the event loop and outside room mutations.
+ *
+ * @param {string} password
+ * @returns {Promise<{ salt: string, hash: string }>}
+ */
+async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 32);
+  return { salt, hash: hash.toString('hex') };
+}
+
+/**
+ * Whether `password` is the join password of a room.
+ *
+ * @param {Object} room
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function passwordMatches(room, password) {
+  if (!room.password || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return false;
+  }
+  const hash = await scryptAsync(password, room.password.salt, 32);
+  return tokensMatch(hash.toString('hex'), room.password.hash);
+}
+
+/**
+ * Finds the participant of a room owning the given session token.
+ *
+ * @param {Object} room
+ * @param {string} token
+ * @returns {Object|undefined}
+ */
+function findPlayerByToken(room, token) {
+  return room.players.find(p => tokensMatch(p.token, token));
+}
+
+/**
+ * Looks up the spectator owning a session token.  Spectators are kept
+ * apart from `room.players`, so they never take part in the game or in
+ * any confirmation count.
+ *
+ * @param {Object} room
+ * @param {string} token
+ */
+function findSpectatorByToken(room, token) {
+  return (room.spectators || []).find(s => tokensMatch(s.token, token));
+}
+
+/**
+ * Returns the public representation of a spectator.
+ * @param {Object} s The spectator object stored in the room
+ */
+function publicSpectator(s) {
+  return { id: s.id, name: s.name, joinNextGame: !!s.joinNextGame };
+}
+
+/**
+ * Turns the spectators who asked to play into players, right before a
+ * game starts.  They are seated in the order they joined, as long as
+ * the room's `maxPlayers` allows; the others keep waiting.
+ *
+ * @param {Object} room
+ */
+function promoteSpectators(room) {
+  const freeSeats = Math.max(0, tableLimits(room).maxPlayers - room.players.length);
+  const promoted = (room.spectators || []).filter(s => s.joinNextGame).slice(0, freeSeats);
+  if (promoted.length === 0) return;
+  room.spectators = room.spectators.filter(s => !promoted.includes(s));
+  promoted.forEach(s => {
+    const player = {
+      id: s.id,
+      token: s.token,
+      name: s.name,
+      role: null,
+      assignedPlayer: null,
+      alive: true,
+      claimed: true,
+    };
+    room.players.push(player);
+    emitRoomEvent(room, 'playerJoined', { player: publicPlayer(player), rejoined: false, promoted: true });
+    logEvent(room, 'spectatorPromoted', { playerId: player.id, name: player.name });
+  });
+}
+
+/**
+ * Releases the seats reserved at room creation that nobody claimed,
+ * right before a game is dealt, so they are not given a role.  Whoever
+ * they were reserved for can still join by name, as a spectator seated
+ * at the next game.
+ *
+ * @param {Object} room
+ */
+function releaseUnclaimedSeats(room) {
+  const unclaimed = room.players.filter(p => p.claimed === false);
+  if (unclaimed.length === 0) return;
+  room.players = room.players.filter(p => !unclaimed.includes(p));
+  unclaimed.forEach(p => {
+    emitRoomEvent(room, 'seatReleased', { playerId: p.id });
+    logEvent(room, 'seatReleased', { playerId: p.id, name: p.name });
+  });
+}
+
+/**
+ * Whether a player still counts towards the confirmations and votes the
+ * table waits for, i.e. has claimed their seat and is not gone (see
+ * updatePresence).
+ *
+ * @param {Object} p
+ */
+function isPresent(p) {
+  return p.claimed !== false && p.presence !== 'gone';
+}
+
+/**
+ * Returns the presence settings of a room, falling back to the defaults
+ * for rooms created before presence was tracked.
+ *
+ * @param {Object} room
+ */
+function presenceSettings(room) {
+  return (room.settings && room.settings.presence) || DEFAULT_SETTINGS.presence;
+}
+
+/**
+ * Works out a player's presence from their last heartbeat: 'connected',
+ * 'idle' or 'gone'.  Players who never sent a heartbeat (e.g. clients
+ * that do not support it) are always connected.
+ *
+ * @param {Object} room
+ * @param {Object} p
+ * @param {number} now
+ */
+function presenceOf(room, p, now) {
+  if (!p.lastHeartbeatAt) return 'connected';
+  const { idleAfter, goneAfter } = presenceSettings(room);
+  const silentFor = now - p.lastHeartbeatAt;
+  if (silentFor > goneAfter * 1000) return 'gone';
+  if (silentFor > idleAfter * 1000) return 'idle';
+  return 'connected';
+}
+
+/**
+ * Returns the player who should take over as host because the host is
+ * gone, or null when no succession is due: the room has
+ * `hostSuccession` disabled, the host is still around, or nobody
+ * connected can take over (seats reserved at creation but never
+ * claimed cannot).  The first connected player in seat order is
+ * preferred, then the first idle one.
+ *
+ * @param {Object} room
+ * @param {number} now
+ */
+function hostHeir(room, now) {
+  if (room.settings && room.settings.hostSuccession === false) return null;
+  const host = room.players.find(p => p.id === room.creatorId);
+  if (host && presenceOf(room, host, now) !== 'gone') return null;
+  const candidates = room.players.filter(p => p.id !== room.creatorId && p.claimed !== false);
+  return candidates.find(p => presenceOf(room, p, now) === 'connected')
+    || candidates.find(p => presenceOf(room, p, now) === 'idle')
+    || null;
+}
+
+/**
+ * Hands the host role to another player.
+ *
+ * @param {Object} room
+ * @param {Object} player The new host
+ * @param {string} reason 'transfer' (by the host) or 'succession'
+ */
+function setHost(room, player, reason) {
+  const previousHostId = room.creatorId;
+  room.creatorId = player.id;
+  logEvent(room, 'hostChanged', { hostId: player.id, previousHostId, reason });
+  emitRoomEvent(room, 'hostChanged', { hostId: player.id, previousHostId, reason });
+}
+
+/**
+ * Whether the stored presence of any player of a room is out of date,
+ * or the host is due to be replaced.
+ *
+ * @param {Object} room
+ * @param {number} now
+ */
+function presenceOutdated(room, now) {
+  return room.players.some(p => presenceOf(room, p, now) !== (p.presence || 'connected'))
+    || !!hostHeir(room, now);
+}
+
+/**
+ * Brings the stored presence of every player up to date, and deals with
+ * the consequences:
+ *
+ *   - a gone host is replaced (see hostHeir), before anything else, so
+ *     the former host is dealt with like any other gone player;
+ *   - a player who is gone loses their pending confirmations and no
+ *     longer counts towards requiredConfirmations or the votes
+ *     showResults waits for; during a game the room's `whenGone`
+ *     policy is applied to them (see applyAbsencePolicy);
+ *   - a game left without impostors in play, or with the impostors at
+ *     parity, ends at once (see settleTable);
+ *   - with turn-ordered clues, a gone speaker loses their turn, and
+ *     voting opens if nobody is left to speak;
+ *   - a communal action that now has enough confirmations runs, as if
+ *     the last player had just confirmed it.
+ *
+ * Returns whether anything changed.
+ *
+ * @param {Object} room
+ * @param {number} now
+ */
+function updatePresence(room, now) {
+  const changed = room.players.filter(p => presenceOf(room, p, now) !== (p.presence || 'connected'));
+  const heir = hostHeir(room, now);
+  if (changed.length === 0 && !heir) return false;
+  markRoomChanged(room);
+  const speaker = currentSpeaker(room);
+  if (heir) setHost(room, heir, 'succession');
+  changed.forEach(p => {
+    p.presence = presenceOf(room, p, now);
+    const outcome = p.presence === 'gone' ? applyAbsencePolicy(room, p) : null;
+    logEvent(room, 'presence', { playerId: p.id, presence: p.presence, outcome });
+    emitRoomEvent(room, 'presence', { playerId: p.id, presence: p.presence, outcome });
+  });
+  // Players eliminated or turned into spectators may leave the game
+  // without impostors, or with the impostors at parity
+  if (!settleTable(room)) passTurnOn(room, speaker);
+  runPendingConfirmations(room);
+  return true;
+}
+
+/**
+ * Moves the turn on after players left or went away, when `speaker` was
+ * the player whose turn it was before: absent speakers are skipped (see
+ * skipAbsentSpeakers) and voting opens once nobody is left to speak.
+ *
+ * @param {Object} room
+ * @param {string|null} speaker
+ */
+function passTurnOn(room, speaker) {
+  if (!speaker) return;
+  skipAbsentSpeakers(room);
+  const next = currentSpeaker(room);
+  if (!next) {
+    startVotePhase(room);
+  } else if (next !== speaker) {
+    emitRoomEvent(room, 'turnChanged', { playerId: next });
+  }
+}
+
+/**
+ * Applies the `whenGone` policy of a room to a player who just went
+ * away, and returns what happened to them: 'excluded', 'eliminated' or
+ * 'spectating'.  Outside a game and for players already eliminated, the
+ * player is only excluded from the counts.  Under 'spectate' the host
+ * keeps their seat and is only excluded too, since the host must remain
+ * a player to force actions; under 'eliminate' they are eliminated like
+ * anyone else and keep hosting from their seat.  A host who was just
+ * replaced (see updatePresence) is no longer the host here and gets the
+ * policy in full.  The caller settles the game afterwards
+ * (see settleTable), since the player may have been the last impostor
+ * in play.
+ *
+ * @param {Object} room
+ * @param {Object} p
+ */
+function applyAbsencePolicy(room, p) {
+  dropConfirmations(room, p.id);
+  const policy = presenceSettings(room).whenGone;
+  const inGame = room.state !== 'lobby' && !room.gameOver && p.alive;
+  if (!inGame || policy === 'exclude' || (policy === 'spectate' && p.id === room.creatorId)) {
+    return 'excluded';
+  }
+  dropBallots(room, p.id);
+  if (policy === 'eliminate') {
+    p.alive = false;
+    return 'eliminated';
+  }
+  room.players = room.players.filter(pl => pl !== p);
+  if (!room.spectators) room.spectators = [];
+  room.spectators.push({ id: p.id, token: p.token, name: p.name, joinNextGame: false });
+  return 'spectating';
+}
+
+/**
+ * Withdraws a player's pending confirmations of every action.
+ *
+ * @param {Object} room
+ * @param {string} playerId
+ */
+function dropConfirmations(room, playerId) {
+  Object.keys(room.confirmations).forEach(action => {
+    room.confirmations[action] = room.confirmations[action].filter(id => id !== playerId);
+  });
+}
+
+/**
+ * Drops the votes cast by or for a player who leaves play, and takes
+ * them out of a runoff.  Whoever voted for them votes again.
+ *
+ * @param {Object} room
+ * @param {string} playerId
+ */
+function dropBallots(room, playerId) {
+  room.votes = room.votes.filter(v => v.voterId !== playerId && v.voteForId !== playerId);
+  if (room.tie) room.tie.candidates = room.tie.candidates.filter(id => id !== playerId);
+}
+
+/**
+ * Removes a player from the room (see /kick) and repairs the game
+ * around the empty seat: their confirmations, votes and clues go away,
+ * the turn moves on if it was theirs, and a pending last guess of theirs
+ * counts as missed.  A game left without impostors, or with the
+ * impostors at parity, ends at once (see settleTable).
+ *
+ * @param {Object} room
+ * @param {Object} p
+ */
+function removePlayer(room, p) {
+  const speaker = currentSpeaker(room);
+  const inGame = room.state !== 'lobby' && !room.gameOver;
+  room.players = room.players.filter(pl => pl !== p);
+  dropConfirmations(room, p.id);
+  dropBallots(room, p.id);
+  room.clues = room.clues.filter(c => c.playerId !== p.id);
+  if (inGame) {
+    if (room.awaiting === 'impostorGuess' && room.guessingPlayerId === p.id) {
+      resolveImpostorGuess(room, null);
+      return;
+    }
+    if (settleTable(room)) return;
+    passTurnOn(room, speaker);
+  }
+  runPendingConfirmations(room);
+}
+
+/**
+ * Ends the game in progress outside a vote and shows the results
+ * screen, awaiting the next game.  When the impostors won (by reaching
+ * parity) the game's points are credited as usual; otherwise the game
+ * is called off without a winner and no points are credited.
+ *
+ * @param {Object} room
+ * @param {string} message
+ * @param {boolean} impostorWon
+ */
+function endGameEarly(room, message, impostorWon) {
+  room.state = 'results';
+  room.gameOver = true;
+  room.impostorWon = impostorWon;
+  room.awaiting = 'nextRound';
+  room.guessingPlayerId = null;
+  room.tie = null;
+  room.errorMessage = null;
+  room.resultsData = {
+    message,
+    gameOver: true,
+    impostorWon,
+    awaiting: 'nextRound',
+    calledOff: !impostorWon,
+    soccerPlayerName: room.soccerPlayer ? room.soccerPlayer.name : null,
+    undercoverPlayerName: room.undercoverPlayer ? room.undercoverPlayer.name : null,
+    scores: impostorWon ? closeGameScores(room, true) : null,
+    remainingPlayers: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
+  };
+  Object.keys(room.confirmations).forEach(key => {
+    room.confirmations[key] = [];
+  });
+  logEvent(room, 'results', { message, gameOver: true, impostorWon, awaiting: 'nextRound' });
+  phaseChanged(room);
+  emitRoomEvent(room, 'resultsReady', { results: room.resultsData });
+}
+
+/**
+ * Settles a game in progress right after players left play outside a
+ * vote, since the next tally may never come:
+ *
+ *   - with no impostor left in play the game cannot go on, so it is
+ *     called off (without points) and a new one is dealt right away, or
+ *     once enough players are seated;
+ *   - when the impostors reach parity (or the room's win threshold,
+ *     see gameOutcome) they win at once.
+ *
+ * Does nothing outside a game or while a caught impostor's guess is
+ * awaited, which is settled by resolveImpostorGuess.  Returns whether
+ * the game ended.
+ *
+ * @param {Object} room
+ */
+function settleTable(room) {
+  if (room.state === 'lobby' || room.gameOver || room.awaiting === 'impostorGuess') return false;
+  if (!room.players.some(p => p.alive && p.role === 'impostor')) {
+    logEvent(room, 'gameCalledOff', { reason: 'impostorLeft' });
+    if (missingPlayers(room, 'nextRound') === 0) {
+      startNewGame(room);
+      broadcastError(room, 'Ya no queda ningún impostor en juego. La partida se anula y se reparte una nueva.');
+    } else {
+      endGameEarly(room, 'Ya no queda ningún impostor en juego. La partida se anula.', false);
+    }
+    return true;
+  }
+  const outcome = gameOutcome(room, false);
+  if (!outcome.gameOver) return false;
+  endGameEarly(room, outcome.message, true);
+  return true;
+}
+
+/**
+ * Runs the communal action awaited in the current phase if its
+ * confirmations already reach the required count, which happens when
+ * the count drops because a player went away or was removed.
+ *
+ * @param {Object} room
+ */
+function runPendingConfirmations(room) {
+  let action = null;
+  if (room.state === 'lobby') {
+    action = 'start';
+  } else if (room.state === 'clues') {
+    action = 'votePhase';
+  } else if (room.state === 'voting') {
+    action = 'showResults';
+  } else if (room.state === 'results' && ['nextClue', 'nextRound'].includes(room.awaiting)) {
+    action = room.awaiting;
+  }
+  if (!action) return;
+  const current = room.confirmations[action].length;
+  if (current === 0 || current < requiredConfirmations(room, action)) return;
+  if ((action === 'start' || action === 'nextRound') && missingPlayers(room, action) > 0) return;
+  runConfirmedAction(room, action);
+}
+
+/**
+ * Returns the scoring rules of a room, falling back to the defaults for
+ * rooms created before scoring existed.
+ *
+ * @param {Object} room
+ */
+function scoringRules(room) {
+  return (room.settings && room.settings.scoring) || DEFAULT_SETTINGS.scoring;
+}
+
+/**
+ * Records the points earned in a vote that has just been counted.  The
+ * points are kept in `room.gameAwards` and only credited when the game
+ * ends (see closeGameScores): awarding them right away would tell the
+ * table who the impostors are.
+ *
+ * @param {Object} room
+ * @param {Object|null} eliminated The player voted out, if any
+ */
+function scoreVote(room, eliminated) {
+  const rules = scoringRules(room);
+  if (!Array.isArray(room.gameAwards)) room.gameAwards = [];
+  const award = (playerId, points, reason) => {
+    if (points) room.gameAwards.push({ playerId, points, reason, round: room.round || 1 });
+  };
+  const roleOf = id => {
+    const p = room.players.find(q => q.id === id);
+    return p ? p.role : null;
+  };
+  room.votes.forEach(v => {
+    if (roleOf(v.voterId) === 'impostor') return;
+    if (roleOf(v.voteForId) === 'impostor') {
+      award(v.voterId, rules.correctVote, 'correctVote');
+    } else if (eliminated && eliminated.role !== 'impostor' && v.voteForId === eliminated.id) {
+      award(v.voterId, rules.wrongElimination, 'wrongElimination');
+    }
+  });
+  room.players
+    .filter(p => p.alive && p.role === 'impostor')
+    .forEach(p => award(p.id, rules.impostorRound, 'impostorRound'));
+}
+
+/**
+ * Ends the scoring of a game: gives the impostors their win bonus when
+ * they won, credits every pending award to the room's leaderboard
+ * (`room.scores`, which survives new games) and files the game in
+ * `room.scoreHistory`.  Returns the breakdown included in `resultsData`:
+ * the awards of the game, the points per player for the game and the
+ * running totals.
+ *
+ * @param {Object} room
+ * @param {boolean} impostorWon
+ */
+function closeGameScores(room, impostorWon) {
+  const rules = scoringRules(room);
+  const awards = Array.isArray(room.gameAwards) ? room.gameAwards : [];
+  if (impostorWon && rules.impostorWin) {
+    room.players
+      .filter(p => p.role === 'impostor')
+      .forEach(p => awards.push({ playerId: p.id, points: rules.impostorWin, reason: 'impostorWin', round: room.round || 1 }));
+  }
+  if (!room.scores) room.scores = {};
+  const game = {};
+  room.players.forEach(p => {
+    game[p.id] = 0;
+    if (room.scores[p.id] === undefined) room.scores[p.id] = 0;
+  });
+  awards.forEach(a => {
+    game[a.playerId] = (game[a.playerId] || 0) + a.points;
+    room.scores[a.playerId] = (room.scores[a.playerId] || 0) + a.points;
+  });
+  room.gameAwards = [];
+  if (!Array.isArray(room.scoreHistory)) room.scoreHistory = [];
+  room.scoreHistory.push({ game: room.scoreHistory.length + 1, impostorWon, points: game });
+  return { awards, game, totals: { ...room.scores } };
+}
+
+/**
+ * Works out how a game stands after someone has been eliminated: the
+ * crew wins once every impostor is out; the impostors win once they are
+ * at least as many as the rest of the alive players.  Otherwise the game
+ * continues with another clue round.
+ *
+ * @param {Object} room
+ * @param {boolean} caught Whether the player just eliminated was an impostor
+ */
+function gameOutcome(room, caught) {
+  const impostorsLeft = room.players.filter(p => p.alive && p.role === 'impostor').length;
+  const crewLeft = room.players.filter(p => p.alive && p.role !== 'impostor').length;
+  const single = (room.impostorCount || 1) === 1;
+  const threshold = room.settings ? room.settings.impostorWinThreshold : null;
+  let gameOver = false;
+  let impostorWon = false;
+  let message;
+  if (impostorsLeft === 0) {
+    gameOver = true;
+    message = single
+      ? 'El impostor fue descubierto'
+      : 'Todos los impostores fueron descubiertos';
+  } else if (impostorsLeft >= crewLeft) {
+    gameOver = true;
+    impostorWon = true;
+    message = single
+      ? 'El impostor gana por quedar sólo con un jugador'
+      : 'Los impostores ganan al igualar en número al resto de los jugadores';
+  } else if (threshold && impostorsLeft + crewLeft <= threshold) {
+    gameOver = true;
+    impostorWon = true;
+    message = single
+      ? `El impostor gana al quedar sólo ${impostorsLeft + crewLeft} jugadores en juego`
+      : `Los impostores ganan al quedar sólo ${impostorsLeft + crewLeft} jugadores en juego`;
+  } else if (caught) {
+    message = impostorsLeft === 1
+      ? 'Descubrieron a un impostor, pero todavía queda otro. Próxima ronda'
+      : `Descubrieron a un impostor, pero todavía quedan ${impostorsLeft}. Próxima ronda`;
+  } else {
+    message = single
+      ? 'El impostor no fue descubierto, próxima ronda'
+      : 'Ningún impostor fue descubierto, próxima ronda';
+  }
+  return {
+    message,
+    gameOver,
+    impostorWon,
+    awaiting: gameOver ? 'nextRound' : 'nextClue',
+    impostorsRemaining: impostorsLeft,
+    // When the game ends (either because the impostors are discovered or
+    // they win), reveal the name of the soccer player for this round.
+    // During intermediate clue rounds the soccer player remains hidden.
+    soccerPlayerName: gameOver ? (room.soccerPlayer ? room.soccerPlayer.name : null) : null,
+    // In undercover mode, the footballer the impostors were given
+    undercoverPlayerName: gameOver && room.undercoverPlayer ? room.undercoverPlayer.name : null,
+  };
+}
+
+/**
+ * Whether a room uses secret ballots (see DEFAULT_SETTINGS).
+ * @param {Object} room
+ */
+function isSecretBallot(room) {
+  return !!room.settings && room.settings.ballot === 'secret';
+}
+
+/**
+ * Counts the votes received by each player id, with abstentions counted
+ * under `abstain`.
+ *
+ * @param {Array} votes
+ */
+function voteTally(votes) {
+  const tally = { abstain: 0 };
+  votes.forEach(v => {
+    const key = v.voteForId || 'abstain';
+    tally[key] = (tally[key] || 0) + 1;
+  });
+  return tally;
+}
+
+/**
+ * Returns the votes every participant may see: all of them with open
+ * ballots, none with secret ballots until the host reveals them on the
+ * results screen.
+ *
+ * @param {Object} room
+ */
+function visibleVotes(room) {
+  if (!isSecretBallot(room)) return room.votes;
+  return room.state === 'results' && room.resultsData && room.resultsData.votesRevealed
+    ? room.votes
+    : [];
+}
+
+// Utility to compute results when voting ends.  The most voted player
+// is eliminated, impostor or not, and gameOutcome decides whether the
+// game goes on.  When an impostor is caught and the room allows it, the
+// outcome is put on hold (`awaiting: 'impostorGuess'`) until they have
+// had their last guess at the secret footballer (see
+// resolveImpostorGuess).  A tie-break (see showResults) may decide who
+// is eliminated instead of the votes, passing `accusedId` (null for
+// nobody).  Returns an object containing message, success flag (an
+// impostor was caught), gameOver flag, impostorWon flag, a copy of
+// votes and the list of remaining players with alive status.
+function computeResults(room, decision) {
+  // Copy votes to return but do not clear them yet
+  const votesCopy = room.votes.slice();
+  const secret = isSecretBallot(room);
+  // Compute vote counts and determine the accused player with most
+  // votes.  Abstentions (voteForId null) count for nobody.
+  const counts = {};
+  room.votes.forEach(v => {
+    if (!v.voteForId) return;
+    counts[v.voteForId] = (counts[v.voteForId] || 0) + 1;
+  });
+  let maxVotes = 0;
+  let accusedId = null;
+  Object.entries(counts).forEach(([pid, count]) => {
+    if (count > maxVotes) {
+      maxVotes = count;
+      accusedId = pid;
+    }
+  });
+  if (decision) accusedId = decision.accusedId;
+  const accused = accusedId ? room.players.find(p => p.id === accusedId) : null;
+  const success = !!accused && accused.role === 'impostor';
+  if (accused) {
+    accused.alive = false;
+  }
+  logEvent(room, 'eliminated', {
+    playerId: accused ? accused.id : null,
+    impostor: success,
+  });
+  scoreVote(room, accused);
+  const guessAllowed = success && (!room.settings || room.settings.impostorGuess !== false);
+  room.guessingPlayerId = guessAllowed ? accused.id : null;
+  const outcome = guessAllowed
+    ? {
+        message: 'Descubrieron a un impostor. Tiene una última oportunidad para adivinar el futbolista secreto',
+        gameOver: false,
+        impostorWon: false,
+        awaiting: 'impostorGuess',
+        impostorsRemaining: room.players.filter(p => p.alive && p.role === 'impostor').length,
+        soccerPlayerName: null,
+        undercoverPlayerName: null,
+      }
+    : gameOutcome(room, success);
+  logEvent(room, 'results', {
+    message: outcome.message,
+    gameOver: outcome.gameOver,
+    impostorWon: outcome.impostorWon,
+    awaiting: outcome.awaiting,
+  });
+  return {
+    ...outcome,
+    // Points of the game, once it is over (see closeGameScores)
+    scores: outcome.gameOver ? closeGameScores(room, outcome.impostorWon) : null,
+    success,
+    // Who voted for whom (voteForId null: abstained).  With secret
+    // ballots this stays null until the host reveals it, and only the
+    // tally is shown.
+    votes: secret ? null : votesCopy,
+    tally: voteTally(room.votes),
+    votesRevealed: !secret,
+    // The player voted out this round (null when nobody received a vote)
+    eliminatedId: accused ? accused.id : null,
+    remainingPlayers: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
+    // The caught impostor's last guess, once made (see resolveImpostorGuess)
+    impostorGuess: null,
+  };
+}
+
+// Suffixes ignored when comparing a guess with a footballer's name, so
+// that "Neymar" matches "Neymar Jr.".
+const NAME_SUFFIXES = ['jr', 'junior', 'sr', 'filho', 'neto'];
+
+// Particles of surnames such as "van Basten" or "Del Piero".  They are
+// ignored, and never count as a guess on their own.
+const NAME_PARTICLES = [
+  'da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du', 'la', 'le', 'van', 'von'
+];
+
+/**
+ * Splits a name into lower-case words with accents, punctuation and
+ * suffixes such as "Jr." removed.
+ *
+ * @param {string} name
+ */
+function nameWords(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(w => w && !NAME_SUFFIXES.includes(w));
+}
+
+/**
+ * Whether a guess names the given footballer.  Case, accents, suffixes
+ * and surname particles are ignored, and the guess must be the whole
+ * name, the surname or one of the names the footballer is known by
+ * (their `aliases` in mockPlayers): "Matthaus" and "lothar matthäus"
+ * both match "Lothar Matthäus", "Neymar" matches "Neymar Jr.", "van
+ * Basten" matches "Marco van Basten" and "Xavi" matches "Xavi
+ * Hernández", but "Lothar" or "van" do not.
+ *
+ * @param {string} guess
+ * @param {{ name: string, aliases?: string[] }} footballer
+ */
+function guessMatches(guess, footballer) {
+  const words = name => nameWords(name).filter(w => !NAME_PARTICLES.includes(w));
+  const same = (a, b) => a.length > 0 && a.length === b.length && a.every((w, i) => w === b[i]);
+  const guessed = words(guess);
+  const actual = words(footballer.name);
+  return same(guessed, actual)
+    || same(guessed, actual.slice(-1))
+    || (footballer.aliases || []).some(alias => same(guessed, words(alias)));
+}
+
+/**
+ * Settles the results put on hold by an impostor's last guess.  A
+ * correct guess wins the game for the impostors; otherwise (including
+ * when no guess was made in time) the game stands as gameOutcome says.
+ * The guess is recorded in `resultsData.impostorGuess`.
+ *
+ * @param {Object} room
+ * @param {string|null} guess The guess, or null when none was made
+ */
+function resolveImpostorGuess(room, guess) {
+  const secretName = room.soccerPlayer ? room.soccerPlayer.name : '';
+  const correct = typeof guess === 'string' && !!room.soccerPlayer && guessMatches(guess, room.soccerPlayer);
+  let outcome;
+  if (correct) {
+    outcome = {
+      ...gameOutcome(room, true),
+      message: 'El impostor adivinó el futbolista secreto y gana la partida',
+      gameOver: true,
+      impostorWon: true,
+      awaiting: 'nextRound',
+      soccerPlayerName: secretName,
+      undercoverPlayerName: room.undercoverPlayer ? room.undercoverPlayer.name : null,
+    };
+  } else {
+    outcome = gameOutcome(room, true);
+    outcome.message = (guess === null
+      ? 'El impostor no llegó a adivinar el futbolista. '
+      : 'El impostor no adivinó el futbolista. ') + outcome.message;
+  }
+  const impostorGuess = { playerId: room.guessingPlayerId, guess, correct };
+  outcome.scores = outcome.gameOver ? closeGameScores(room, outcome.impostorWon) : null;
+  logEvent(room, 'impostorGuess', impostorGuess);
+  logEvent(room, 'results', {
+    message: outcome.message,
+    gameOver: outcome.gameOver,
+    impostorWon: outcome.impostorWon,
+    awaiting: outcome.awaiting,
+  });
+  room.guessingPlayerId = null;
+  room.gameOver = outcome.gameOver;
+  room.impostorWon = outcome.impostorWon;
+  room.awaiting = outcome.awaiting;
+  room.resultsData = { ...(room.resultsData || {}), ...outcome, impostorGuess };
+  room.errorMessage = null;
+  Object.keys(room.confirmations).forEach(key => {
+    room.confirmations[key] = [];
+  });
+  phaseChanged(room);
+  emitRoomEvent(room, 'resultsReady', { results: room.resultsData });
+  return room.resultsData;
+}
+
+/**
+ * Returns the tie-break policy of a room (see DEFAULT_SETTINGS).
+ * @param {Object} room
+ */
+function tieBreakPolicy(room) {
+  return (room.settings && room.settings.tieBreak) || 'revote';
+}
+
+// Message prefixed to the results when a tie was settled without a
+// revote, by policy.
+const TIE_RESULT_MESSAGES = {
+  skipMajority: 'La mayoría se abstuvo y nadie fue eliminado. ',
+  noElimination: 'La votación terminó empatada y nadie fue eliminado. ',
+  random: 'La votación terminó empatada y el desempate se sorteó. ',
+  hostDecides: 'El anfitrión desempató la votación. ',
+};
+
+/**
+ * Closes the voting phase: checks that every alive player has voted and
+ * that there is a clear majority, then computes the results and moves
+ * the room to the results screen.  Shared by /confirm, /force,
+ * /tie-break and the voting timer.
+ *
+ * On failure the reason is broadcast through the room's error message,
+ * the showResults confirmations are cleared so players can confirm
+ * again, and `{ error }` is returned.  On success `{ results }` is
+ * returned.
+ *
+ * Abstentions count as votes for the "everyone has voted" check but for
+ * nobody in the tally.  When more than half of the alive players
+ * abstained (counting those who did not vote in time) and the room's
+ * `skipMajority` rule is 'noElimination', nobody is eliminated.
+ *
+ * A tie is handled according to the room's `tieBreak` policy.  'revote'
+ * and 'runoff' clear the votes (a runoff also records the tied players
+ * in `room.tie`, and only they may then receive votes) and fail as
+ * above; a runoff that ties again is settled at random so it cannot
+ * loop forever.  'hostDecides' keeps the votes and waits for the host
+ * to pick one of the tied players through /tie-break (or for the voting
+ * timer, which then draws one).  'noElimination' and 'random' settle the
+ * tie straight away.
+ *
+ * @param {Object} room
+ * @param {Object} [options]
+ * @param {boolean} [options.abstainMissing] Treat alive players who have
+ *   not voted as abstaining instead of refusing to proceed.  Used when
+ *   the voting timer runs out and when the host tallies through
+ *   /results.
+ * @param {boolean} [options.timedOut] The voting timer ran out, so a tie
+ *   awaiting the host is drawn instead.
+ * @param {string} [options.decidedId] The tied player chosen by the host
+ */
+function showResults(room, options = {}) {
+  let decision;
+  let tiePolicy = null;
+  if (options.decidedId) {
+    decision = { accusedId: options.decidedId };
+    tiePolicy = 'hostDecides';
+  } else {
+    // Gone players are not waited for, but a ballot they cast before
+    // leaving still counts
+    const hasVoted = p => room.votes.some(v => v.voterId === p.id);
+    const electorate = room.players.filter(p => p.alive && (isPresent(p) || hasVoted(p)));
+    const aliveCount = electorate.length;
+    if (!options.abstainMissing && electorate.some(p => !hasVoted(p))) {
+      const msg = 'Aún hay jugadores que no han votado. Todos deben votar antes de ver los resultados.';
+      broadcastError(room, msg);
+      room.confirmations.showResults = [];
+      return { error: msg };
+    }
+    const skips = aliveCount - room.votes.filter(v => v.voteForId).length;
+    const skipRule = (room.settings && room.settings.skipMajority) || 'noElimination';
+    // Check for a tie: if the highest vote count is shared by more than one player
+    const voteCounts = {};
+    room.votes.forEach(v => {
+      if (!v.voteForId) return;
+      voteCounts[v.voteForId] = (voteCounts[v.voteForId] || 0) + 1;
+    });
+    const maxVotes = Math.max(0, ...Object.values(voteCounts));
+    const tied = Object.keys(voteCounts).filter(id => voteCounts[id] === maxVotes);
+    if (skipRule === 'noElimination' && skips * 2 > aliveCount) {
+      decision = { accusedId: null };
+      tiePolicy = 'skipMajority';
+    } else if (tied.length > 1) {
+      tiePolicy = tieBreakPolicy(room);
+      if (tiePolicy === 'runoff' && room.tie && room.tie.policy === 'runoff') {
+        tiePolicy = 'random';
+      } else if (tiePolicy === 'hostDecides' && options.timedOut) {
+        // The host let the voting timer run out
+        tiePolicy = 'random';
+      }
+      switch (tiePolicy) {
+        case 'noElimination':
+          decision = { accusedId: null };
+          break;
+        case 'random':
+          decision = { accusedId: randomElement(tied) };
+          break;
+        case 'hostDecides': {
+          const msg = 'La votación está empatada. El anfitrión decide a quién eliminar entre los empatados.';
+          broadcastError(room, msg);
+          room.tie = { policy: 'hostDecides', candidates: tied };
+          room.confirmations.showResults = [];
+          armPhaseTimer(room);
+          logEvent(room, 'tie', { policy: 'hostDecides', candidates: tied });
+          return { error: msg };
+        }
+        case 'runoff': {
+          const msg = 'La votación está empatada. Se vota de nuevo, sólo entre los jugadores empatados.';
+          broadcastError(room, msg);
+          logEvent(room, 'tieReset', { votes: room.votes.slice(), runoff: tied }, isSecretBallot(room));
+          room.votes = [];
+          room.tie = { policy: 'runoff', candidates: tied };
+          room.confirmations.showResults = [];
+          armPhaseTimer(room);
+          emitRoomEvent(room, 'votesReset', { runoff: tied });
+          return { error: msg };
+        }
+        default: {
+          const msg = 'La votación está empatada. Debe haber una mayoría para eliminar a un jugador.';
+          broadcastError(room, msg);
+          // Clear votes so participants can vote again for a majority, and
+          // give the revote a fresh voting timer
+          logEvent(room, 'tieReset', { votes: room.votes.slice() }, isSecretBallot(room));
+          room.votes = [];
+          room.tie = null;
+          room.confirmations.showResults = [];
+          armPhaseTimer(room);
+          emitRoomEvent(room, 'votesReset', {});
+          return { error: msg };
+        }
+      }
+    }
+  }
+  // All conditions satisfied; compute results and transition to results state
+  const resultData = computeResults(room, decision);
+  if (tiePolicy) {
+    resultData.message = TIE_RESULT_MESSAGES[tiePolicy] + resultData.message;
+    resultData.tieBreak = tiePolicy;
+  }
+  room.tie = null;
+  room.state = 'results';
+  room.gameOver = resultData.gameOver;
+  room.impostorWon = resultData.impostorWon;
+  room.awaiting = resultData.awaiting;
+  // Store the resultData to send to clients upon polling
+  room.resultsData = resultData;
+  // Clear any previous errorMessage now that the round is resolved
+  room.errorMessage = null;
+  // Clear all confirmations now that results have been computed.
+  room.confirmations.start = [];
+  room.confirmations.votePhase = [];
+  room.confirmations.nextClue = [];
+  room.confirmations.nextRound = [];
+  room.confirmations.showResults = [];
+  phaseChanged(room);
+  emitRoomEvent(room, 'resultsReady', { results: resultData });
+  return { results: resultData };
+}
+
+/**
+ * Picks a random element from an array.  Returns undefined
+ * if the array is empty.
+ * @param {Array} arr
+ */
+function randomElement(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates).
+ * @param {Array} arr
+ */
+function shuffle(arr) {
+  const copy = arr.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Returns the public representation of a participant.  Only data that
+ * every client may see is included: roles and assigned players are
+ * secrets and are never part of this view.
+ *
+ * @param {Object} p The player object stored in the room
+ */
+function publicPlayer(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    alive: typeof p.alive === 'boolean' ? p.alive : true,
+    // 'connected', 'idle' or 'gone' (see updatePresence)
+    presence: p.presence || 'connected',
+  };
+}
+
+/**
+ * Whether a room plays the undercover variant (see DEFAULT_SETTINGS).
+ * @param {Object} room
+ */
+function isUndercover(room) {
+  return !!room.settings && room.settings.gameMode === 'undercover';
+}
+
+/**
+ * Returns the hint an impostor receives about the secret footballer, as
+ * configured by the room's `impostorHint` setting, or null.  Only
+ * classic mode gives hints: in undercover mode a hint would tell the
+ * impostors what they are.
+ *
+ * @param {Object} room
+ */
+function impostorHint(room) {
+  const level = room.settings && room.settings.impostorHint;
+  if (!level || level === 'none' || isUndercover(room) || !room.soccerPlayer) return null;
+  if (level === 'club') {
+    return { type: 'club', value: room.soccerPlayer.club };
+  }
+  const league = clubLeagues[room.soccerPlayer.club];
+  return league ? { type: 'league', value: league } : null;
+}
+
+/**
+ * Returns the private view of a participant, intended only for the
+ * participant themself.  It carries their role and the name of the
+ * soccer player they were assigned (the club remains hidden).  In
+ * undercover mode impostors are shown as regular players until the
+ * game is over, since they must not know they are the odd ones out.
+ * Impostors in classic mode also get their hint, if the room gives one.
+ *
+ * @param {Object} p The player object stored in the room
+ * @param {Object} room The room the player belongs to
+ */
+function privatePlayerView(p, room) {
+  const hideRole = p.role === 'impostor' && isUndercover(room) && !room.gameOver;
+  return {
+    ...publicPlayer(p),
+    role: hideRole ? 'player' : p.role,
+    assignedPlayer: p.assignedPlayer ? { name: p.assignedPlayer.name } : null,
+    hint: p.role === 'impostor' ? impostorHint(room) : null,
+  };
+}
+
+/**
+ * Builds the shared room payload returned by `GET /api/room/:id`.
+ * This payload is visible to every participant, so it must not carry
+ * any secret: roles and assigned players are omitted and the soccer
+ * player is only revealed once the game is over (the same moment the
+ * answer is disclosed through `resultsData`).  Each participant reads
+ * their own role through `GET /api/room/:id/me`.
+ *
+ * @param {Object} room The room to serialise
+ */
+function serializeRoom(room) {
+  return {
+    id: room.id,
+    code: room.code || null,
+    version: room.version,
+    state: room.state,
+    players: room.players.map(publicPlayer),
+    spectators: (room.spectators || []).map(publicSpectator),
+    soccerPlayer: room.gameOver && room.soccerPlayer
+      ? { name: room.soccerPlayer.name }
+      : null,
+    clues: room.clues,
+    // Votes of the current vote, hidden with secret ballots (see
+    // visibleVotes), and the number of ballots cast so far
+    votes: visibleVotes(room),
+    votesCast: room.votes.length,
+    creatorId: room.creatorId,
+    // Games started in this room, and clue round of the current game
+    // (both 1-based; 0 in the lobby)
+    game: room.gameNumber || 0,
+    round: room.round || 0,
+    // Impostors dealt in the current game (who they are stays secret)
+    impostorCount: room.impostorCount || null,
+    // With turn-ordered clues: the speaking order of this round and the
+    // player expected to speak next.  Both null for free-form clues.
+    speakingOrder: room.speakingOrder || null,
+    currentTurn: currentSpeaker(room),
+    lastActivityAt: room.lastActivityAt,
+    settings: room.settings || DEFAULT_SETTINGS,
+    passwordProtected: !!room.password,
+    awaiting: room.awaiting,
+    // During a runoff, or while the host breaks a tie: the policy and
+    // the ids of the tied players
+    tie: room.state === 'voting' && room.tie ? room.tie : null,
+    // With `awaiting: 'impostorGuess'`, the caught impostor who may guess
+    guessingPlayerId: room.awaiting === 'impostorGuess' ? room.guessingPlayerId : null,
+    // Deadline of the current phase (ms since the epoch) and the time
+    // left when this payload was built; both null without a time limit.
+    phaseEndsAt: room.phaseEndsAt || null,
+    phaseRemainingMs: room.phaseEndsAt ? Math.max(0, room.phaseEndsAt - Date.now()) : null,
+    confirmationsCount: {
+      start: room.confirmations.start.length,
+      votePhase: room.confirmations.votePhase.length,
+      nextClue: room.confirmations.nextClue.length,
+      nextRound: room.confirmations.nextRound.length,
+      showResults: room.confirmations.showResults ? room.confirmations.showResults.length : 0,
+    },
+    requiredConfirmations: {
+      start: requiredConfirmations(room, 'start'),
+      votePhase: requiredConfirmations(room, 'votePhase'),
+      nextClue: requiredConfirmations(room, 'nextClue'),
+      nextRound: requiredConfirmations(room, 'nextRound'),
+      showResults: requiredConfirmations(room, 'showResults'),
+    },
+    gameOver: room.gameOver,
+    impostorWon: room.impostorWon,
+    // Points per player id across the games of this room
+    scores: room.scores || {},
+    resultsData: room.resultsData || null,
+    // Provide any pending error message from communal actions.  Clients
+    // should display this to all participants and then ignore it.
+    errorMessage: room.errorMessage,
+  };
+}
+
+// Events raised while a mutation is being applied by mutateRoom.  They
+// are only delivered once the store accepts the change, so an attempt
+// that is retried after a conflict never leaks events.  Null outside of
+// a mutation.
+let pendingEvents = null;
+
+// Open Server-Sent Events streams, keyed by room id.  Each entry is a
+// set of `{ res, playerId }` subscriptions; `playerId` is null for
+// anonymous subscribers, which only receive the shared events.  The
+// streams are kept outside of the room objects so rooms remain plain
+// data.
+const roomSubscribers = {};
+
+// Interval between SSE keep-alive comments, in milliseconds.  Proxies
+// tend to close connections that stay silent for too long.
+const SSE_KEEPALIVE_MS = 25000;
+
+/**
+ * Writes a single event to an SSE stream.
+ *
+ * @param {http.ServerResponse} res
+ * @param {string} type Event name
+ * @param {Object} data JSON-serialisable payload
+ */
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Broadcasts an event to every subscriber of a room.  Only pass data
+ * that is safe for all participants to see.
+ *
+ * Event types:
+ *   - playerJoined:  { player, rejoined, promoted? }
+ *   - spectatorJoined: { spectator, rejoined }
+ *   - seatReleased:  { playerId }  (unclaimed seat, see releaseUnclaimedSeats)
+ *   - clueAdded:     { playerId, clue }
+ *   - turnChanged:   { playerId }  (turn-ordered clues only)
+ *   - voteCast:      { voterId, voteForId, changed, votesCast }
+ *                    (voteForId null: abstained; secret ballots only
+ *                    carry votesCast)
+ *   - voteWithdrawn: { voterId, votesCast }  (secret ballots: votesCast)
+ *   - votesRevealed: { votes }
+ *   - votesReset:    { runoff? }  (runoff: the tied players' ids)
+ *   - confirmation:  { action, playerId, current, required }
+ *   - phaseChanged:  { state, awaiting, phaseEndsAt, currentTurn }
+ *   - resultsReady:  { results }
+ *   - error:         { message }
+ *
+ * Besides these, streams receive `room` (the full shared payload, on
+ * connect and after changes made by another server instance) and
+ * `roomClosed` ({ reason }, right before the stream ends).  Players'
+ * streams also receive `role` ({ player }, their private view) on
+ * connect, whenever roles are dealt and after remote changes.
+ *
+ * @param {Object} room
+ * @param {string} type
+ * @param {Object} data
+ */
+function emitRoomEvent(room, type, data) {
+  const deliver = () => {
+    const subs = roomSubscribers[room.id];
+    if (!subs) return;
+    subs.forEach(sub => writeEvent(sub.res, type, data));
+  };
+  if (pendingEvents) pendingEvents.push(deliver);
+  else deliver();
+}
+
+/**
+ * Sends an event only to the streams opened by one participant.  Used
+ * for private data such as the `role` event carrying their assignment.
+ *
+ * @param {Object} room
+ * @param {string} playerId
+ * @param {string} type
+ * @param {Object} data
+ */
+function emitPlayerEvent(room, playerId, type, data) {
+  const deliver = () => {
+    const subs = roomSubscribers[room.id];
+    if (!subs) return;
+    subs.forEach(sub => {
+      if (sub.playerId === playerId) writeEvent(sub.res, type, data);
+    });
+  };
+  if (pendingEvents) pendingEvents.push(deliver);
+  else deliver();
+}
+
+/**
+ * Appends an entry to the room's event log, served by
+ * `GET /api/room/:id/history`.  The log is append-only and survives new
+ * games; each entry records the game and clue round it belongs to.
+ * Secret entries (such as the role assignment) are only shown once their
+ * game is over.
+ *
+ * @param {Object} room
+ * @param {string} type
+ * @param {Object} data JSON-serialisable details
+ * @param {boolean} [secret]
+ */
+function logEvent(room, type, data, secret = false) {
+  if (!Array.isArray(room.log)) room.log = [];
+  const entry = {
+    seq: room.log.length + 1,
+    at: Date.now(),
+    game: room.gameNumber || 0,
+    round: room.gameNumber ? room.round || 0 : 0,
+    type,
+    data,
+  };
+  if (secret) entry.secret = true;
+  room.log.push(entry);
+}
+
+/**
+ * Records a phase transition.  Must be called after every change of
+ * `state` (or of `awaiting` on the results screen): it arms the phase
+ * timer configured for the new phase, records it in the room's log and
+ * announces the phase to all subscribers.
+ *
+ * @param {Object} room
+ */
+function phaseChanged(room) {
+  armPhaseTimer(room);
+  logEvent(room, 'phaseChanged', { state: room.state, awaiting: room.awaiting });
+  emitRoomEvent(room, 'phaseChanged', {
+    state: room.state,
+    awaiting: room.awaiting,
+    phaseEndsAt: room.phaseEndsAt,
+    currentTurn: currentSpeaker(room),
+  });
+}
+
+/**
+ * Stores a communal error message in the room (so polling clients see
+ * it through `errorMessage`) and pushes it to the subscribers.
+ *
+ * @param {Object} room
+ * @param {string} message
+ */
+function broadcastError(room, message) {
+  room.errorMessage = message;
+  emitRoomEvent(room, 'error', { message });
+}
+
+// Long-poll requests waiting for a room to change, keyed by room id.
+// Each entry is a set of callbacks invoked once the room's version
+// moves forward.
+const roomWaiters = {};
+
+// Latest version of each room published by this instance, used to tell
+// changes made by other instances (see watchRemoteChanges).
+const publishedVersions = {};
+
+// Local timeouts firing the phase timers, keyed by room id.  Each entry
+// is `{ endsAt, handle }`.
+const phaseTimeouts = {};
+
+// Set by markRoomTouched while a mutation runs (see mutateRoom).
+let pendingTouch = false;
+
+// How many times mutateRoom re-runs a mutation that lost a
+// compare-and-set race before giving up.
+const MAX_MUTATION_ATTEMPTS = 10;
+
+// Default and maximum time a `?waitForVersion=` request is held open,
+// in milliseconds.
+const LONG_POLL_DEFAULT_MS = 25000;
+const LONG_POLL_MAX_MS = 60000;
+
+/**
+ * Records that a room was mutated.  Every mutation must call this: it
+ * bumps the room's monotonically increasing `version` (exposed as the
+ * ETag of `GET /api/room/:id`), which is also what tells mutateRoom
+ * that the room has to be written back, and refreshes the activity
+ * timestamp used to expire idle rooms.  Calling it several times in
+ * one mutation is harmless.
+ *
+ * @param {Object} room
+ */
+function markRoomChanged(room) {
+  room.version = (room.version || 0) + 1;
+  room.lastActivityAt = Date.now();
+}
+
+/**
+ * Records a change to a room that nobody following it needs to hear
+ * about, such as a heartbeat.  The room is written back without bumping
+ * its version, so clients are not woken and ETags stay valid.  A
+ * concurrent mutation that read the room before may overwrite such a
+ * change, which only ever loses bookkeeping like a single heartbeat.
+ * It applies to the room the running mutation works on.
+ */
+function markRoomTouched() {
+  pendingTouch = true;
+}
+
+/**
+ * Releases the long-poll requests waiting on a room.
+ *
+ * @param {string} roomId
+ */
+function wakeWaiters(roomId) {
+  const waiters = roomWaiters[roomId];
+  if (!waiters) return;
+  delete roomWaiters[roomId];
+  waiters.forEach(cb => cb());
+}
+
+/**
+ * Schedules (or cancels) the local timeout firing the phase timer of a
+ * stored room.  Called whenever this instance commits or learns about a
+ * change; with several instances more than one may fire, which is
+ * harmless since expirePhase ignores stale deadlines.
+ *
+ * @param {Object} room
+ */
+function schedulePhaseTimer(room) {
+  const existing = phaseTimeouts[room.id];
+  if (existing && existing.endsAt === room.phaseEndsAt) return;
+  if (existing) {
+    clearTimeout(existing.handle);
+    delete phaseTimeouts[room.id];
+  }
+  if (!room.phaseEndsAt) return;
+  const endsAt = room.phaseEndsAt;
+  const handle = setTimeout(() => {
+    delete phaseTimeouts[room.id];
+    mutateRoom(room.id, current => expirePhase(current, endsAt))
+      .catch(err => console.error(`Phase timer of room ${room.id} failed: ${err.message}`));
+  }, Math.max(0, endsAt - Date.now()));
+  phaseTimeouts[room.id] = { endsAt, handle };
+}
+
+/**
+ * Applies a change to a room atomically through the store.  `mutate`
+ * receives a fresh copy of the room, changes it synchronously and
+ * calls markRoomChanged when it did.  The copy is then written with
+ * compare-and-set on the version that was read; if another request (or
+ * another server instance) changed the room in the meantime, `mutate`
+ * runs again on the new state.  Events raised by `mutate` are delivered
+ * and long-poll requests are woken only after the write succeeded.
+ *
+ * Resolves with `{ room, result }`, where `result` is what `mutate`
+ * returned, or with `{ room: null }` when the room does not exist.
+ *
+ * @param {string} roomId
+ * @param {Function} mutate
+ */
+async function mutateRoom(roomId, mutate) {
+  for (let attempt = 0; attempt < MAX_MUTATION_ATTEMPTS; attempt++) {
+    const room = await store.get(roomId);
+    if (!room) return { room: null };
+    const expectedVersion = room.version;
+    const events = [];
+    let result;
+    pendingEvents = events;
+    pendingTouch = false;
+    let touched;
+    try {
+      result = mutate(room);
+    } finally {
+      pendingEvents = null;
+      touched = pendingTouch;
+      pendingTouch = false;
+    }
+    if (room.version === expectedVersion) {
+      // Nothing changed: nothing to write, except a quiet change (see
+      // markRoomTouched), which is written without telling anyone
+      if (touched && !(await store.update(room, expectedVersion))) continue;
+      events.forEach(deliver => deliver());
+      return { room, result };
+    }
+    if (await store.update(room, expectedVersion)) {
+      publishedVersions[room.id] = room.version;
+      schedulePhaseTimer(room);
+      events.forEach(deliver => deliver());
+      wakeWaiters(room.id);
+      return { room, result };
+    }
+  }
+  throw new Error(`Room ${roomId} is changing too fast to update`);
+}
+
+/**
+ * Tells everyone following a room that it no longer exists: SSE
+ * subscribers receive a final `roomClosed` event and their streams are
+ * ended, and pending long-poll requests are answered with 404.
+ *
+ * @param {string} roomId
+ * @param {string} reason One of 'closed' (by the host) or 'expired'
+ */
+function closeRoomChannels(roomId, reason) {
+  const subs = roomSubscribers[roomId];
+  if (subs) {
+    delete roomSubscribers[roomId];
+    subs.forEach(sub => {
+      writeEvent(sub.res, 'roomClosed', { reason });
+      sub.res.end();
+    });
+  }
+  delete publishedVersions[roomId];
+  if (phaseTimeouts[roomId]) {
+    clearTimeout(phaseTimeouts[roomId].handle);
+    delete phaseTimeouts[roomId];
+  }
+  wakeWaiters(roomId);
+}
+
+/**
+ * Removes a room from the store and closes its channels.  With
+ * `expectedVersion` the room is only removed if nobody changed it in
+ * the meantime.  Resolves with whether the room was removed.
+ *
+ * @param {string} roomId
+ * @param {string} reason See closeRoomChannels
+ * @param {number} [expectedVersion]
+ */
+async function removeRoom(roomId, reason, expectedVersion) {
+  const removed = await store.delete(roomId, expectedVersion);
+  if (removed) closeRoomChannels(roomId, reason);
+  return removed;
+}
+
+/**
+ * Returns whether a room has been idle long enough to be removed.
+ *
+ * @param {Object} room
+ * @param {number} now
+ */
+function isRoomExpired(room, now) {
+  // Rooms saved before activity was tracked count as active right now
+  const idleFor = now - (room.lastActivityAt || now);
+  const finished = room.state === 'results' && room.gameOver;
+  return idleFor > (finished ? ROOM_FINISHED_TTL_MS : ROOM_IDLE_TTL_MS);
+}
+
+/**
+ * Removes every expired room.  Runs periodically in the background; with
+ * a shared store every instance sweeps, which is harmless since each
+ * removal is conditional on the version that was judged expired.
+ */
+async function sweepRooms() {
+  const now = Date.now();
+  const rooms = await store.list();
+  for (const room of rooms) {
+    if (isRoomExpired(room, now)) {
+      await removeRoom(room.id, 'expired', room.version);
+    }
+  }
+}
+
+/**
+ * Brings the presence of players up to date in every room where it is
+ * outdated (see updatePresence).  Runs periodically in the background,
+ * since presence changes with the passing of time rather than with
+ * requests.  With a shared store every instance sweeps; only the first
+ * one to get there changes anything.
+ */
+async function sweepPresence() {
+  const now = Date.now();
+  const rooms = await store.list();
+  for (const room of rooms) {
+    if (presenceOutdated(room, now)) {
+      await mutateRoom(room.id, current => updatePresence(current, Date.now()));
+    }
+  }
+}
+
+/**
+ * Subscribes to changes made to shared rooms by other server instances,
+ * when the store supports it.  Typed events are only raised by the
+ * instance that applied a change, so for remote changes the local
+ * subscribers receive a `room` event with the fresh shared payload,
+ * followed for each participant by a `role` event with their private
+ * view, since the change may have dealt new roles.  Local long-poll
+ * requests are woken.
+ */
+function watchRemoteChanges() {
+  if (typeof store.watch !== 'function') return;
+  store.watch(roomId => {
+    store.get(roomId).then(room => {
+      if (!room) {
+        closeRoomChannels(roomId, 'closed');
+        return;
+      }
+      schedulePhaseTimer(room);
+      if (room.version <= (publishedVersions[roomId] || 0)) return;
+      publishedVersions[roomId] = room.version;
+      emitRoomEvent(room, 'room', serializeRoom(room));
+      (roomSubscribers[roomId] || []).forEach(sub => {
+        const player = room.players.find(p => p.id === sub.playerId);
+        if (player) writeEvent(sub.res, 'role', { player: privatePlayerView(player, room) });
+      });
+      wakeWaiters(roomId);
+    }).catch(err => console.error(`Failed to read room ${roomId}: ${err.message}`));
+  });
+}
+
+/**
+ * Returns the ETag of the shared room payload for the current version.
+ *
+ * @param {Object} room
+ */
+function roomEtag(room) {
+  return `"${room.id}-${room.version || 0}"`;
+}
+
+/**
+ * Handles API requests.  All API routes are prefixed with `/api`.
+ * Each endpoint expects and returns JSON.  CORS headers are
+ * configured to allow any origin to access the API (useful for
+ * serving the frontend from a different origin during development).
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url Parsed URL object
+ */
+function handleApi(req, res, url) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Player-Token, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // While a mutation runs inside withRoom the reply is held back, so a
+  // mutation re-run after a compare-and-set conflict answers once, with
+  // the outcome of the attempt that was actually stored.
+  let holdReply = false;
+  let heldReply = null;
+  const sendJson = (status, obj, headers = {}) => {
+    if (holdReply) {
+      heldReply = [status, obj, headers];
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(obj));
+  };
+
+  const sendServerError = err => {
+    console.error(err);
+    if (res.headersSent) return;
+    holdReply = false;
+    sendJson(500, { error: 'Server error' });
+  };
+
+  // Reads and parses the JSON request body, then calls `onData`.  An
+  // empty body is treated as `{}`; malformed JSON is answered with 400.
+  const readJsonBody = onData => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      let data;
+      try {
+        data = body ? JSON.parse(body) : {};
+      } catch (e) {
+        sendJson(400, { error: 'Invalid JSON' });
+        return;
+      }
+      if (!data || typeof data !== 'object') {
+        sendJson(400, { error: 'Invalid payload' });
+        return;
+      }
+      onData(data);
+    });
+  };
+
+  // Runs `mutate(room)` as an atomic change of the room (see mutateRoom)
+  // and sends the reply it produced.  Answers 404 when the room does not
+  // exist.
+  const withRoom = (roomId, mutate) => {
+    mutateRoom(roomId, room => {
+      heldReply = null;
+      holdReply = true;
+      try {
+        mutate(room);
+      } finally {
+        holdReply = false;
+      }
+    })
+      .then(({ room }) => {
+        if (!room) {
+          sendJson(404, { error: 'Room not found' });
+          return;
+        }
+        if (heldReply) sendJson(...heldReply);
+      })
+      .catch(sendServerError);
+  };
+
+  // Loads a room for a read-only route.  Answers 404 when the room does
+  // not exist.
+  const withRoomRead = (roomId, read) => {
+    store.get(roomId)
+      .then(room => {
+        if (!room) {
+          sendJson(404, { error: 'Room not found' });
+          return;
+        }
+        read(room);
+      })
+      .catch(sendServerError);
+  };
+
+  // Resolve the calling participant from their session token.  Sends
+  // 401 when no token was supplied and 403 when the token does not
+  // belong to anyone in the room; returns null in both cases so the
+  // route can stop processing.
+  const authenticate = room => {
+    const token = getSessionToken(req);
+    if (!token) {
+      sendJson(401, { error: 'Missing session token' });
+      return null;
+    }
+    const player = findPlayerByToken(room, token);
+    if (!player) {
+      sendJson(403, { error: 'Invalid session token' });
+      return null;
+    }
+    return player;
+  };
+
+  // Reply to a /join that (re)admitted a spectator.
+  const sendSpectatorJoined = (room, spectator, status) => {
+    sendJson(status, {
+      spectator: publicSpectator(spectator),
+      // Session token of the spectator, used like a player's token
+      token: spectator.token,
+      players: room.players.map(publicPlayer),
+      state: room.state,
+      creatorId: room.creatorId,
+      roomId: room.id,
+      code: room.code || null,
+    });
+  };
+
+  // Resolve a caller allowed to use the spectator view: a spectator or
+  // an eliminated player.  Sends 401/403 like authenticate and returns
+  // `{ spectator }` or `{ player }`.
+  const authenticateViewer = room => {
+    const token = getSessionToken(req);
+    if (!token) {
+      sendJson(401, { error: 'Missing session token' });
+      return null;
+    }
+    const spectator = findSpectatorByToken(room, token);
+    if (spectator) return { spectator };
+    const player = findPlayerByToken(room, token);
+    if (!player) {
+      sendJson(403, { error: 'Invalid session token' });
+      return null;
+    }
+    if (player.alive && room.state !== 'lobby') {
+      sendJson(403, { error: 'Only spectators and eliminated players can use the spectator view' });
+      return null;
+    }
+    return { player };
+  };
+
+  // Like authenticate, but additionally requires the caller to be the
+  // room creator (host).
+  const authenticateHost = room => {
+    const player = authenticate(room);
+    if (!player) return null;
+    if (player.id !== room.creatorId) {
+      sendJson(403, { error: 'Only the creator can perform this action' });
+      return null;
+    }
+    return player;
+  };
+
+  const pathname = url.pathname;
+
+  // ----------------------------------------------------------------------
+  // New API endpoints: GET /api/players and GET /api/game-state
+  //
+  // The original client code expects to fetch a list of all available
+  // soccer players via `/api/players` and a high‑level overview of
+  // current game state via `/api/game-state`.  These endpoints were
+  // missing in the initial deployment and caused 404 or 502 errors
   // when hit from the browser.  The blocks below implement both
   // endpoints:
   //
@@ -378,179 +2721,683 @@ function handleApi(req, res, url) {
     sendJson(200, playersList);
     return;
   }
-  if (req.method === 'GET' && pathname === '/api/game-state') {
-    // Build a summary of the current rooms.  Each room includes
-    // essential details but omits sensitive data like roles and
-    // internal confirmation counters.  If no rooms exist, return an
-    // empty array.
-    const roomsSummary = Object.values(rooms).map(room => ({
-      id: room.id,
-      state: room.state,
-      players: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
-      soccerPlayer: room.soccerPlayer
-        ? { name: room.soccerPlayer.name }
-        : null,
-      gameOver: room.gameOver,
-      impostorWon: room.impostorWon,
-      awaiting: room.awaiting,
-    }));
-    sendJson(200, { rooms: roomsSummary });
+  if (req.method === 'GET' && pathname === '/api/game-state') {
+    // Build a summary of the current rooms.  Each room includes
+    // essential details but omits sensitive data like roles, assigned
+    // players and internal confirmation counters.  If no rooms exist, return an
+    // empty array.  Private rooms are left out, so they can only be
+    // found through their id or code (see DEFAULT_SETTINGS.visibility).
+    store.list().then(rooms => {
+      const roomsSummary = rooms.filter(isPublicRoom).map(room => ({
+        id: room.id,
+        state: room.state,
+        players: room.players.map(publicPlayer),
+        // The soccer player is only disclosed once the game is over.
+        soccerPlayer: room.gameOver && room.soccerPlayer
+          ? { name: room.soccerPlayer.name }
+          : null,
+        gameOver: room.gameOver,
+        impostorWon: room.impostorWon,
+        awaiting: room.awaiting,
+      }));
+      sendJson(200, { rooms: roomsSummary });
+    }).catch(sendServerError);
+    return;
+  }
+
+  // Lobby browser: the public rooms still in the lobby, newest first,
+  // with their seats and settings.  Private rooms are never listed.
+  if (req.method === 'GET' && pathname === '/api/lobbies') {
+    store.list().then(rooms => {
+      const lobbies = rooms
+        .filter(room => room.state === 'lobby' && isPublicRoom(room))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map(room => {
+          const host = room.players.find(p => p.id === room.creatorId);
+          const { minPlayers, maxPlayers } = tableLimits(room);
+          return {
+            roomId: room.id,
+            code: room.code || null,
+            host: host ? host.name : null,
+            players: room.players.length,
+            minPlayers,
+            maxPlayers,
+            openSeats: Math.max(0, maxPlayers - room.players.length),
+            spectators: (room.spectators || []).length,
+            passwordProtected: !!room.password,
+            settings: room.settings,
+            createdAt: room.createdAt,
+          };
+        });
+      sendJson(200, { lobbies });
+    }).catch(sendServerError);
+    return;
+  }
+
+  // Look up a room by its short code.  The code is case-insensitive, and
+  // spaces or dashes in it are ignored.
+  if (req.method === 'GET' && pathname.match(/^\/api\/code\/[^\/]+$/)) {
+    const code = normalizeRoomCode(decodeURIComponent(pathname.split('/')[3]));
+    if (!code) {
+      sendJson(400, { error: 'Invalid room code' });
+      return;
+    }
+    findRoomByCode(code).then(room => {
+      if (!room) {
+        sendJson(404, { error: 'Room not found' });
+        return;
+      }
+      sendJson(200, { roomId: room.id, code: room.code, state: room.state });
+    }).catch(sendServerError);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/api/create-room') {
+    readJsonBody(data => {
+      if (!data || !Array.isArray(data.players) || data.players.length === 0) {
+        sendJson(400, { error: 'Invalid payload' });
+        return;
+      }
+      const roomId = generateId();
+      const { settings, errors } = buildRoomSettings(data.settings);
+      if (errors) {
+        sendJson(400, { error: 'Invalid settings', fields: errors });
+        return;
+      }
+      // The names reserve seats, so there may be no more than
+      // maxPlayers of them.  A room may be created with fewer names
+      // than minPlayers: the others join later, and the game does not
+      // start until the table is big enough.
+      const nameErrors = {};
+      if (data.players.length > settings.maxPlayers) {
+        nameErrors.players = `At most ${settings.maxPlayers} players can sit at this table`;
+      }
+      const seen = new Set();
+      data.players.forEach((name, idx) => {
+        if (typeof name !== 'string' || !name.trim()) {
+          nameErrors[`players.${idx}`] = 'Must be a non-empty name';
+        } else if (name.trim().length > MAX_NAME_LENGTH) {
+          nameErrors[`players.${idx}`] = `Must be at most ${MAX_NAME_LENGTH} characters long`;
+        } else if (seen.has(name.trim().toLowerCase())) {
+          nameErrors[`players.${idx}`] = 'Names must be unique';
+        } else {
+          seen.add(name.trim().toLowerCase());
+        }
+      });
+      if (Object.keys(nameErrors).length > 0) {
+        sendJson(400, { error: 'Invalid players', fields: nameErrors });
+        return;
+      }
+      // Optional password asked of everyone joining a seat for the
+      // first time (see /join)
+      const { password } = data;
+      if (password !== undefined && password !== null
+        && (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH)) {
+        sendJson(400, {
+          error: 'Invalid password',
+          fields: { password: `Must be null or a string of 1 to ${MAX_PASSWORD_LENGTH} characters` },
+        });
+        return;
+      }
+      // Create players with alive flag
+      // Every name reserves a seat.  The creator's seat is claimed
+      // right away; the others are claimed by the first /join with
+      // the matching name.
+      const players = data.players.map((name, idx) => ({
+        id: generateId(),
+        token: generateToken(),
+        name: name.trim(),
+        role: null,
+        assignedPlayer: null,
+        alive: true,
+        claimed: idx === 0,
+      }));
+      const room = {
+        id: roomId,
+        // Short code to share the room by word of mouth; assigned below,
+        // once the codes in use are known
+        code: null,
+        // Salted hash of the join password, if any (see hashPassword);
+        // set below
+        password: null,
+        // Incremented by markRoomChanged on every mutation
+        version: 1,
+        createdAt: Date.now(),
+        // Refreshed by markRoomChanged; idle rooms are swept away
+        lastActivityAt: Date.now(),
+        state: 'lobby',
+        players,
+        soccerPlayer: null,
+        // Footballer given to the impostors in undercover mode
+        undercoverPlayer: null,
+        // Caught impostor whose last guess is awaited
+        guessingPlayerId: null,
+        // Unresolved tie of the current vote: `{ policy, candidates }`
+        // for a runoff or a tie awaiting the host (see showResults)
+        tie: null,
+        // Leaderboard: total points per player id across every game of
+        // the room, the points of each finished game, and the points of
+        // the game in progress (kept secret until it ends)
+        scores: {},
+        scoreHistory: [],
+        gameAwards: [],
+        clues: [],
+        votes: [],
+        // The first player is considered creator/host
+        creatorId: players[0].id,
+        // Confirmation queues for communal actions
+        confirmations: {
+          start: [],
+          votePhase: [],
+          nextClue: [],
+          nextRound: [],
+          showResults: [],
+        },
+        awaiting: null,
+        gameOver: false,
+        impostorWon: false,
+        resultsData: null,
+        // Store a transient error message to broadcast to all clients.
+        // This will be set when a communal action fails (e.g., tie or incomplete votes)
+        // and reset when the error condition is resolved.
+        errorMessage: null,
+        // People watching the room (see promoteSpectators)
+        spectators: [],
+        settings,
+        // Clue round of the current game; see drawSpeakingOrder for the
+        // speaking order used with turn-ordered clues
+        round: 0,
+        // Impostors dealt in the current game (see assignRolesForRound)
+        impostorCount: null,
+        seating: null,
+        speakingOrder: null,
+        turnIndex: 0,
+        // Deadline of the current phase when it has a time limit
+        phaseEndsAt: null,
+        // Games started in this room so far, and the event log (see
+        // logEvent)
+        gameNumber: 0,
+        log: [],
+      };
+      logEvent(room, 'roomCreated', {
+        creatorId: room.creatorId,
+        seats: players.map(p => ({ playerId: p.id, name: p.name })),
+      });
+      (password ? hashPassword(password) : Promise.resolve(null)).then(hashed => {
+        room.password = hashed;
+        return store.list();
+      }).then(existing => {
+        if (existing.length >= MAX_ROOMS) {
+          sendJson(503, { error: 'Se alcanzó el número máximo de salas activas. Intenta de nuevo más tarde.' });
+          return null;
+        }
+        room.code = generateRoomCode(new Set(existing.map(r => r.code).filter(Boolean)));
+        return store.create(room);
+      }).then(created => {
+        if (created === null) return;
+        if (!created) {
+          sendJson(500, { error: 'Server error' });
+          return;
+        }
+        sendJson(201, {
+          roomId,
+          code: room.code,
+          players: room.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            alive: p.alive,
+          })),
+          state: room.state,
+          creatorId: room.creatorId,
+          // Session token of the creator.  It must be sent with every
+          // action; the other seats receive theirs when joining.
+          token: players[0].token,
+        });
+      }).catch(sendServerError);
+    });
+    return;
+  }
+
+  // Start the game immediately.  This endpoint exists for backward
+  // compatibility and for the host to bypass communal confirmation.  A
+  // game can only be started while in lobby.  It assigns roles,
+  // resets confirmations and moves the room to the clues phase.  Only
+  // the creator may call it.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/start$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoom(roomId, room => {
+      if (!authenticateHost(room)) return;
+      if (room.state !== 'lobby') {
+        sendJson(400, { error: 'Game already started' });
+        return;
+      }
+      if (missingPlayers(room, 'start') > 0) {
+        sendJson(400, { error: `At least ${tableLimits(room).minPlayers} players are needed to start a game` });
+        return;
+      }
+      markRoomChanged(room);
+      startGame(room);
+      // The soccer player is a secret: each participant reads their own
+      // assignment through GET /api/room/:id/me.
+      sendJson(200, {
+        message: 'Game started',
+        players: room.players.map(publicPlayer),
+        state: room.state,
+      });
+    });
+    return;
+  }
+
+  // Get the caller's private view: their own role and assigned soccer
+  // player.  This is the only route that discloses an assignment, and it
+  // only ever returns the assignment of the requesting participant.
+  if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+\/me$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoomRead(roomId, room => {
+      const player = authenticate(room);
+      if (!player) return;
+      sendJson(200, {
+        roomId: room.id,
+        state: room.state,
+        player: privatePlayerView(player, room),
+        // The caller's own ballot in the current vote (voteForId null:
+        // abstained), or null if they have not voted
+        vote: room.votes.find(v => v.voterId === player.id) || null,
+      });
+    });
+    return;
+  }
+
+  // Spectator view, for spectators and eliminated players: the shared
+  // room payload plus, when the room's `spectatorSecrets` setting allows
+  // it, the secret footballer and every participant's role.
+  if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+\/spectate$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoomRead(roomId, room => {
+      const viewer = authenticateViewer(room);
+      if (!viewer) return;
+      const showSecrets = !!room.settings && room.settings.spectatorSecrets && room.state !== 'lobby';
+      sendJson(200, {
+        room: serializeRoom(room),
+        secrets: showSecrets
+          ? {
+              soccerPlayerName: room.soccerPlayer ? room.soccerPlayer.name : null,
+              undercoverPlayerName: room.undercoverPlayer ? room.undercoverPlayer.name : null,
+              roles: room.players.map(p => ({ id: p.id, role: p.role })),
+            }
+          : null,
+      });
+    });
+    return;
+  }
+
+  // A spectator chooses whether to be seated as a player when the next
+  // game starts (`joinNextGame`).
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/spectator$/)) {
+    const roomId = pathname.split('/')[3];
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const token = getSessionToken(req);
+        if (!token) {
+          sendJson(401, { error: 'Missing session token' });
+          return;
+        }
+        const spectator = findSpectatorByToken(room, token);
+        if (!spectator) {
+          sendJson(403, { error: 'Only spectators can perform this action' });
+          return;
+        }
+        if (typeof data.joinNextGame !== 'boolean') {
+          sendJson(400, { error: 'Invalid payload' });
+          return;
+        }
+        spectator.joinNextGame = data.joinNextGame;
+        markRoomChanged(room);
+        sendJson(200, { spectator: publicSpectator(spectator) });
+      });
+    });
+    return;
+  }
+
+  // Heartbeat of a participant's client, to be sent every few seconds
+  // while the room is open.  It keeps the caller's presence 'connected'
+  // (see updatePresence) and is stored without bumping the room version.
+  // Spectators may send it too, but only players' presence is tracked.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/heartbeat$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoom(roomId, room => {
+      const { idleAfter, goneAfter } = presenceSettings(room);
+      const token = getSessionToken(req);
+      if (token && findSpectatorByToken(room, token)) {
+        sendJson(200, { presence: 'connected', idleAfter, goneAfter });
+        return;
+      }
+      const player = authenticate(room);
+      if (!player) return;
+      const now = Date.now();
+      player.lastHeartbeatAt = now;
+      if (!updatePresence(room, now)) markRoomTouched();
+      sendJson(200, { presence: player.presence || 'connected', idleAfter, goneAfter });
+    });
+    return;
+  }
+
+  // Change the settings of the room.  Host only, and only in the lobby.
+  // The body holds the settings to change, in the same shape as the
+  // `settings` of /api/create-room; anything left out keeps its value.
+  // Pending confirmations to start are cleared, since they were given
+  // for the previous settings.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/settings$/)) {
+    const roomId = pathname.split('/')[3];
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        if (!authenticateHost(room)) return;
+        if (room.state !== 'lobby') {
+          sendJson(400, { error: 'Settings can only be changed in the lobby' });
+          return;
+        }
+        const { settings, errors } = buildRoomSettings(data, room.settings);
+        const fields = errors || {};
+        if (settings && settings.maxPlayers < room.players.length) {
+          fields.maxPlayers = `Must be at least ${room.players.length}, the players already in the room`;
+        }
+        if (Object.keys(fields).length > 0) {
+          sendJson(400, { error: 'Invalid settings', fields });
+          return;
+        }
+        room.settings = settings;
+        room.confirmations.start = [];
+        markRoomChanged(room);
+        logEvent(room, 'settingsChanged', { changes: data });
+        emitRoomEvent(room, 'settingsChanged', { settings });
+        sendJson(200, { settings });
+      });
+    });
+    return;
+  }
+
+  // Remove a player (or a spectator) from the room.  Host only; the host
+  // cannot remove themselves.  The removed participant's token stops
+  // working, and a seat removed in the lobby becomes free for someone
+  // else to join.  See removePlayer for how a game in progress is
+  // repaired.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/kick$/)) {
+    const roomId = pathname.split('/')[3];
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const host = authenticateHost(room);
+        if (!host) return;
+        const { playerId } = data;
+        if (!playerId || typeof playerId !== 'string') {
+          sendJson(400, { error: 'Invalid payload' });
+          return;
+        }
+        if (playerId === host.id) {
+          sendJson(400, { error: 'The host cannot remove themselves; transfer the host role first' });
+          return;
+        }
+        const spectator = (room.spectators || []).find(s => s.id === playerId);
+        if (spectator) {
+          room.spectators = room.spectators.filter(s => s !== spectator);
+          markRoomChanged(room);
+          logEvent(room, 'kicked', { spectatorId: spectator.id, name: spectator.name });
+          emitRoomEvent(room, 'kicked', { spectatorId: spectator.id });
+          sendJson(200, { message: 'Spectator removed' });
+          return;
+        }
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+          sendJson(404, { error: 'Player not found' });
+          return;
+        }
+        markRoomChanged(room);
+        logEvent(room, 'kicked', { playerId: player.id, name: player.name });
+        emitRoomEvent(room, 'kicked', { playerId: player.id });
+        removePlayer(room, player);
+        sendJson(200, { message: 'Player removed', state: room.state });
+      });
+    });
+    return;
+  }
+
+  // Hand the host role to another player.  Host only.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/host$/)) {
+    const roomId = pathname.split('/')[3];
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const host = authenticateHost(room);
+        if (!host) return;
+        const { playerId } = data;
+        if (!playerId || typeof playerId !== 'string') {
+          sendJson(400, { error: 'Invalid payload' });
+          return;
+        }
+        const player = room.players.find(p => p.id === playerId);
+        if (!player) {
+          sendJson(404, { error: 'Player not found' });
+          return;
+        }
+        if (player.id === host.id) {
+          sendJson(400, { error: 'You are already the host' });
+          return;
+        }
+        if (player.claimed === false || !isPresent(player)) {
+          sendJson(400, { error: 'The host role can only go to a player who is in the room' });
+          return;
+        }
+        markRoomChanged(room);
+        setHost(room, player, 'transfer');
+        sendJson(200, { creatorId: room.creatorId });
+      });
+    });
+    return;
+  }
+
+  // Cumulative leaderboard of the room: every participant's total points
+  // across the games played so far (best first) and the points of each
+  // finished game.  Points earned in the game in progress only appear
+  // once it ends.
+  if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+\/leaderboard$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoomRead(roomId, room => {
+      const scores = room.scores || {};
+      const leaderboard = room.players
+        .map(p => ({ id: p.id, name: p.name, score: scores[p.id] || 0 }))
+        .sort((a, b) => b.score - a.score);
+      // Players with the same score share a rank
+      leaderboard.forEach((entry, idx) => {
+        entry.rank = idx > 0 && entry.score === leaderboard[idx - 1].score
+          ? leaderboard[idx - 1].rank
+          : idx + 1;
+      });
+      sendJson(200, {
+        roomId: room.id,
+        gamesPlayed: (room.scoreHistory || []).length,
+        scoring: scoringRules(room),
+        leaderboard,
+        games: room.scoreHistory || [],
+      });
+    });
+    return;
+  }
+
+  // Event log of the room, grouped by game and clue round.  Entries
+  // logged before the first game (such as joins) are listed under
+  // `lobby`.  Secret entries, such as the role assignment, have their
+  // details withheld until their game is over.
+  if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+\/history$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoomRead(roomId, room => {
+      const currentGame = room.gameNumber || 0;
+      const isOver = game => game < currentGame || (game === currentGame && room.gameOver);
+      const view = entry => {
+        const hidden = entry.secret && !isOver(entry.game);
+        return {
+          seq: entry.seq,
+          at: entry.at,
+          type: entry.type,
+          data: hidden ? null : entry.data,
+          hidden,
+        };
+      };
+      const lobby = [];
+      const games = [];
+      (room.log || []).forEach(entry => {
+        if (!entry.game) {
+          lobby.push(view(entry));
+          return;
+        }
+        let game = games.find(g => g.game === entry.game);
+        if (!game) {
+          game = { game: entry.game, over: isOver(entry.game), rounds: [] };
+          games.push(game);
+        }
+        let round = game.rounds.find(r => r.round === entry.round);
+        if (!round) {
+          round = { round: entry.round, events: [] };
+          game.rounds.push(round);
+        }
+        round.events.push(view(entry));
+      });
+      sendJson(200, { roomId: room.id, lobby, games });
+    });
     return;
   }
 
-  if (req.method === 'POST' && pathname === '/api/create-room') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
-    });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        if (!data || !Array.isArray(data.players) || data.players.length === 0) {
-          sendJson(400, { error: 'Invalid payload' });
+  // Subscribe to a room's push channel (Server-Sent Events).  The stream
+  // starts with a `room` event holding the shared payload and then
+  // carries the typed events listed in emitRoomEvent.  Browsers'
+  // EventSource cannot set headers, so the session token may be passed
+  // as `?token=`; authenticated subscribers additionally receive their
+  // private `role` events.  Without a token only shared events are sent.
+  if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+\/events$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoomRead(roomId, room => {
+      const token = getSessionToken(req) || url.searchParams.get('token');
+      let player = null;
+      if (token) {
+        player = findPlayerByToken(room, token) || findSpectatorByToken(room, token);
+        if (!player) {
+          sendJson(403, { error: 'Invalid session token' });
           return;
         }
-        const roomId = generateId();
-        // Create players with alive flag
-        const players = data.players.map(name => ({
-          id: generateId(),
-          name,
-          role: null,
-          assignedPlayer: null,
-          alive: true,
-        }));
-        const room = {
-          id: roomId,
-          state: 'lobby',
-          players,
-          soccerPlayer: null,
-          clues: [],
-          votes: [],
-          // The first player is considered creator/host
-          creatorId: players[0].id,
-          // Confirmation queues for communal actions
-          confirmations: {
-            start: [],
-            votePhase: [],
-            nextClue: [],
-            nextRound: [],
-            showResults: [],
-          },
-          awaiting: null,
-          gameOver: false,
-          impostorWon: false,
-          resultsData: null,
-          // Store a transient error message to broadcast to all clients.
-          // This will be set when a communal action fails (e.g., tie or incomplete votes)
-          // and reset when the error condition is resolved.
-          errorMessage: null,
-          // Record the initial number of participants expected in this room.  This
-          // prevents adding arbitrary new players beyond the original list.
-          expectedPlayers: players.length,
-        };
-        rooms[roomId] = room;
-        sendJson(201, {
-          roomId,
-          players: room.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            alive: p.alive,
-          })),
-          state: room.state,
-          creatorId: room.creatorId,
-        });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
       }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      const sub = { res, playerId: player ? player.id : null };
+      if (!roomSubscribers[roomId]) roomSubscribers[roomId] = new Set();
+      roomSubscribers[roomId].add(sub);
+      writeEvent(res, 'room', serializeRoom(room));
+      if (player && room.players.includes(player)) {
+        writeEvent(res, 'role', { player: privatePlayerView(player, room) });
+      }
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        const subs = roomSubscribers[roomId];
+        if (!subs) return;
+        subs.delete(sub);
+        if (subs.size === 0) delete roomSubscribers[roomId];
+      });
     });
     return;
   }
 
-  // Start the game immediately.  This endpoint exists for backward
-  // compatibility and for the host to bypass communal confirmation.  A
-  // game can only be started while in lobby.  It assigns roles,
-  // resets confirmations and moves the room to the clues phase.
-  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/start$/)) {
+  // Close a room.  Only the creator may do this; subscribers are told
+  // through a final `roomClosed` event and the room is gone for good.
+  if (req.method === 'DELETE' && pathname.match(/^\/api\/room\/[^\/]+$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'lobby') {
-      sendJson(400, { error: 'Game already started' });
-      return;
-    }
-    // Reset confirmations
-    Object.keys(room.confirmations).forEach(key => {
-      room.confirmations[key] = [];
-    });
-    room.awaiting = null;
-    // Prepare roles for the first round
-    assignRolesForRound(room);
-    room.state = 'clues';
-    sendJson(200, {
-      message: 'Game started',
-      // Only expose the name of the soccer player; hide the club
-      soccerPlayer: room.soccerPlayer
-        ? { name: room.soccerPlayer.name }
-        : null,
-      players: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
-      state: room.state,
+    withRoomRead(roomId, room => {
+      if (!authenticateHost(room)) return;
+      removeRoom(roomId, 'closed')
+        .then(removed => {
+          if (!removed) {
+            sendJson(404, { error: 'Room not found' });
+            return;
+          }
+          sendJson(200, { message: 'Room closed' });
+        })
+        .catch(sendServerError);
     });
     return;
   }
 
-  // Get room details
+  // Get room details.  The payload is shared by every participant and
+  // therefore carries no secrets (see serializeRoom).
+  //
+  // The response carries the room version as its ETag, and a request
+  // whose `If-None-Match` matches the current version is answered with
+  // 304.  Clients that cannot hold a stream open may long-poll with
+  // `?waitForVersion=N`: the request is held until the room reaches
+  // version N (typically the last version seen plus one) or until
+  // `?timeout=` milliseconds pass (default 25s), in which case a 304 is
+  // returned and the client simply asks again.
   if (req.method === 'GET' && pathname.match(/^\/api\/room\/[^\/]+$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
+    const respond = room => {
+      const etag = roomEtag(room);
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      sendJson(200, serializeRoom(room), { ETag: etag });
+    };
+    const waitParam = url.searchParams.get('waitForVersion');
+    const waitFor = waitParam === null ? 0 : parseInt(waitParam, 10);
+    if (!Number.isInteger(waitFor) || waitFor < 0) {
+      sendJson(400, { error: 'Invalid waitForVersion' });
       return;
     }
-    // Only expose the soccer player's name; do not send the club.
-    const soccerPlayer = room.soccerPlayer
-      ? { name: room.soccerPlayer.name }
-      : null;
-    sendJson(200, {
-      id: room.id,
-      state: room.state,
-      players: room.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        // When revealing assigned players to each participant we only
-        // include the player's name.  The club remains hidden.
-        assignedPlayer: p.assignedPlayer
-          ? { name: p.assignedPlayer.name }
-          : null,
-        alive: typeof p.alive === 'boolean' ? p.alive : true,
-      })),
-      soccerPlayer,
-      clues: room.clues,
-      votes: room.votes,
-      creatorId: room.creatorId,
-      awaiting: room.awaiting,
-      confirmationsCount: {
-        start: room.confirmations.start.length,
-        votePhase: room.confirmations.votePhase.length,
-        nextClue: room.confirmations.nextClue.length,
-        nextRound: room.confirmations.nextRound.length,
-        showResults: room.confirmations.showResults ? room.confirmations.showResults.length : 0,
-      },
-      requiredConfirmations: {
-        start: requiredConfirmations(room, 'start'),
-        votePhase: requiredConfirmations(room, 'votePhase'),
-        nextClue: requiredConfirmations(room, 'nextClue'),
-        nextRound: requiredConfirmations(room, 'nextRound'),
-        showResults: requiredConfirmations(room, 'showResults'),
-      },
-      gameOver: room.gameOver,
-      impostorWon: room.impostorWon,
-      resultsData: room.resultsData || null,
-      // Provide any pending error message from communal actions.  Clients
-      // should display this to all participants and then ignore it.
-      errorMessage: room.errorMessage,
+    withRoomRead(roomId, room => {
+      if (room.version >= waitFor) {
+        respond(room);
+        return;
+      }
+      const timeoutParam = parseInt(url.searchParams.get('timeout'), 10);
+      const timeoutMs = Number.isInteger(timeoutParam) && timeoutParam > 0
+        ? Math.min(timeoutParam, LONG_POLL_MAX_MS)
+        : LONG_POLL_DEFAULT_MS;
+      let done = false;
+      const finish = () => {
+        if (done) return false;
+        done = true;
+        clearTimeout(timer);
+        const waiters = roomWaiters[roomId];
+        if (waiters) waiters.delete(onChange);
+        return true;
+      };
+      const onChange = () => {
+        store.get(roomId).then(current => {
+          if (current && current.version < waitFor) {
+            // Not there yet; keep waiting for further changes
+            if (!done) {
+              if (!roomWaiters[roomId]) roomWaiters[roomId] = new Set();
+              roomWaiters[roomId].add(onChange);
+            }
+            return;
+          }
+          if (!finish()) return;
+          if (!current) {
+            sendJson(404, { error: 'Room not found' });
+            return;
+          }
+          respond(current);
+        }).catch(err => {
+          if (finish()) sendServerError(err);
+        });
+      };
+      const timer = setTimeout(() => {
+        if (!finish()) return;
+        res.writeHead(304, { ETag: roomEtag(room) });
+        res.end();
+      }, timeoutMs);
+      if (!roomWaiters[roomId]) roomWaiters[roomId] = new Set();
+      roomWaiters[roomId].add(onChange);
+      req.on('close', finish);
     });
     return;
   }
@@ -558,40 +3405,64 @@ function handleApi(req, res, url) {
   // Submit a clue
   if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/clue$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'clues') {
-      sendJson(400, { error: 'Not in clues phase' });
-      return;
-    }
-    let body = '';
-    req.on('data', chunk => (body += chunk));
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        if (room.state !== 'clues') {
+          sendJson(400, { error: 'Not in clues phase' });
+          return;
+        }
+        const player = authenticate(room);
+        if (!player) return;
         const { playerId, clue } = data;
-        if (!playerId || typeof clue !== 'string' || !clue.trim()) {
+        if (typeof clue !== 'string' || !clue.trim()) {
           sendJson(400, { error: 'Invalid payload' });
           return;
         }
-        // Ensure player exists and is alive (eliminated players cannot send clues)
-        const player = room.players.find(p => p.id === playerId);
-        if (!player) {
-          sendJson(404, { error: 'Player not found' });
+        // The caller is identified by their token; a playerId in the body
+        // is optional and must match it.
+        if (playerId && playerId !== player.id) {
+          sendJson(403, { error: 'Session token does not match playerId' });
           return;
         }
+        // Eliminated players cannot send clues
         if (!player.alive) {
           sendJson(400, { error: 'Eliminated players cannot send clues' });
           return;
         }
-        room.clues.push({ playerId, clue: clue.trim() });
-        sendJson(201, { message: 'Clue recorded' });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
-      }
+        // With turn-ordered clues only the current speaker may talk
+        if (room.speakingOrder && currentSpeaker(room) !== player.id) {
+          sendJson(400, { error: 'It is not your turn to give a clue' });
+          return;
+        }
+        const settings = room.settings || DEFAULT_SETTINGS;
+        const maxLength = settings.clueMaxLength || DEFAULT_SETTINGS.clueMaxLength;
+        if (clue.trim().length > maxLength) {
+          sendJson(400, { error: `Clues can be at most ${maxLength} characters long` });
+          return;
+        }
+        // Clues are cleared every round, so these are this round's
+        const given = room.clues.filter(c => c.playerId === player.id).length;
+        if (!room.speakingOrder && settings.cluesPerRound && given >= settings.cluesPerRound) {
+          sendJson(400, { error: `You can give at most ${settings.cluesPerRound} clue(s) per round` });
+          return;
+        }
+        room.clues.push({ playerId: player.id, clue: clue.trim() });
+        markRoomChanged(room);
+        logEvent(room, 'clue', { playerId: player.id, clue: clue.trim() });
+        emitRoomEvent(room, 'clueAdded', { playerId: player.id, clue: clue.trim() });
+        if (room.speakingOrder) {
+          // Pass the turn on; once everyone has spoken, voting opens
+          room.turnIndex = (room.turnIndex || 0) + 1;
+          skipAbsentSpeakers(room);
+          const next = currentSpeaker(room);
+          if (next) {
+            emitRoomEvent(room, 'turnChanged', { playerId: next });
+          } else {
+            startVotePhase(room);
+          }
+        }
+        sendJson(201, { message: 'Clue recorded', state: room.state });
+      });
     });
     return;
   }
@@ -599,47 +3470,42 @@ function handleApi(req, res, url) {
   // Advance to voting phase
   if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/vote-phase$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'clues') {
-      sendJson(400, { error: 'Cannot move to voting from current state' });
-      return;
-    }
-    room.state = 'voting';
-    sendJson(200, { message: 'Now in voting phase' });
+    withRoom(roomId, room => {
+      if (!authenticateHost(room)) return;
+      if (room.state !== 'clues') {
+        sendJson(400, { error: 'Cannot move to voting from current state' });
+        return;
+      }
+      startVotePhase(room);
+      markRoomChanged(room);
+      sendJson(200, { message: 'Now in voting phase' });
+    });
     return;
   }
 
-  // Submit a vote
-  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/vote$/)) {
+  // Submit, change or withdraw a vote.  POST records the caller's vote:
+  // `voteForId` names a living player, or `abstain: true` skips (which
+  // counts towards "everyone has voted" but for nobody in the tally).  A
+  // second POST replaces the previous vote, and DELETE withdraws it, for
+  // as long as the voting phase lasts.  Ballots are locked while a tie
+  // awaits the host's decision (see /tie-break).
+  if ((req.method === 'POST' || req.method === 'DELETE') && pathname.match(/^\/api\/room\/[^\/]+\/vote$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'voting') {
-      sendJson(400, { error: 'Not in voting phase' });
-      return;
-    }
-    let body = '';
-    req.on('data', chunk => (body += chunk));
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        const { voterId, voteForId } = data;
-        if (!voterId || !voteForId) {
-          sendJson(400, { error: 'Invalid payload' });
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        if (room.state !== 'voting') {
+          sendJson(400, { error: 'Not in voting phase' });
           return;
         }
-        // Make sure both players exist and the voter hasn't voted yet
-        const voter = room.players.find(p => p.id === voterId);
-        const voteFor = room.players.find(p => p.id === voteForId);
-        if (!voter || !voteFor) {
-          sendJson(404, { error: 'Player not found' });
+        const voter = authenticate(room);
+        if (!voter) return;
+        if (room.tie && room.tie.policy === 'hostDecides') {
+          sendJson(409, { error: 'The vote is tied and waiting for the host to break the tie' });
+          return;
+        }
+        const { voterId, voteForId, abstain } = data;
+        if (voterId && voterId !== voter.id) {
+          sendJson(403, { error: 'Session token does not match voterId' });
           return;
         }
         // Only alive players may vote
@@ -647,88 +3513,289 @@ function handleApi(req, res, url) {
           sendJson(400, { error: 'Eliminated players cannot vote' });
           return;
         }
-        // Cannot vote for an eliminated player
-        if (!voteFor.alive) {
-          sendJson(400, { error: 'Cannot vote for an eliminated player' });
+        const previous = room.votes.find(v => v.voterId === voter.id);
+        if (req.method === 'DELETE') {
+          if (!previous) {
+            sendJson(404, { error: 'No vote to withdraw' });
+            return;
+          }
+          room.votes = room.votes.filter(v => v !== previous);
+          markRoomChanged(room);
+          logEvent(room, 'voteWithdrawn', { voterId: voter.id }, isSecretBallot(room));
+          emitRoomEvent(room, 'voteWithdrawn', isSecretBallot(room)
+            ? { votesCast: room.votes.length }
+            : { voterId: voter.id, votesCast: room.votes.length });
+          sendJson(200, { message: 'Vote withdrawn' });
           return;
         }
-        if (room.votes.find(v => v.voterId === voterId)) {
-          sendJson(400, { error: 'Voter has already voted' });
+        if (abstain !== true && !voteForId) {
+          sendJson(400, { error: 'Invalid payload' });
           return;
         }
-        room.votes.push({ voterId, voteForId });
-        sendJson(201, { message: 'Vote recorded' });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
+        if (abstain !== true) {
+          // Make sure the target exists
+          const voteFor = room.players.find(p => p.id === voteForId);
+          if (!voteFor) {
+            sendJson(404, { error: 'Player not found' });
+            return;
+          }
+          // Cannot vote for an eliminated player
+          if (!voteFor.alive) {
+            sendJson(400, { error: 'Cannot vote for an eliminated player' });
+            return;
+          }
+          // A runoff is limited to the tied players
+          if (room.tie && room.tie.policy === 'runoff' && !room.tie.candidates.includes(voteForId)) {
+            sendJson(400, { error: 'Only the tied players can receive votes in a runoff' });
+            return;
+          }
+        }
+        const target = abstain === true ? null : voteForId;
+        if (previous) {
+          previous.voteForId = target;
+        } else {
+          room.votes.push({ voterId: voter.id, voteForId: target });
+        }
+        markRoomChanged(room);
+        logEvent(room, 'vote', { voterId: voter.id, voteForId: target, changed: !!previous }, isSecretBallot(room));
+        // Secret ballots only announce that a ballot was cast
+        emitRoomEvent(room, 'voteCast', isSecretBallot(room)
+          ? { votesCast: room.votes.length }
+          : { voterId: voter.id, voteForId: target, changed: !!previous, votesCast: room.votes.length });
+        if (previous) {
+          sendJson(200, { message: 'Vote changed' });
+        } else {
+          sendJson(201, { message: 'Vote recorded' });
+        }
+      });
+    });
+    return;
+  }
+
+  // Second stage of the results with secret ballots: the host reveals who
+  // voted for whom, after the vote counts have been shown.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/reveal-votes$/)) {
+    const roomId = pathname.split('/')[3];
+    withRoom(roomId, room => {
+      if (!authenticateHost(room)) return;
+      if (room.state !== 'results' || !room.resultsData) {
+        sendJson(400, { error: 'There are no results to reveal' });
+        return;
+      }
+      if (room.resultsData.votesRevealed) {
+        sendJson(400, { error: 'Votes already revealed' });
+        return;
       }
+      room.resultsData.votes = room.votes.slice();
+      room.resultsData.votesRevealed = true;
+      markRoomChanged(room);
+      logEvent(room, 'votesRevealed', { votes: room.resultsData.votes });
+      emitRoomEvent(room, 'votesRevealed', { votes: room.resultsData.votes });
+      sendJson(200, { votes: room.resultsData.votes });
     });
     return;
   }
 
-  // Join an existing room
-  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/join$/)) {
+  // Break a tie when the room's tie-break policy is 'hostDecides': the
+  // host names one of the tied players, who is eliminated as if they
+  // had received the most votes.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/tie-break$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'lobby') {
-      sendJson(400, { error: 'Cannot join after game has started' });
-      return;
-    }
-    let body = '';
-    req.on('data', chunk => (body += chunk));
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        const { name } = data;
-        if (!name || typeof name !== 'string' || !name.trim()) {
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        if (!authenticateHost(room)) return;
+        if (room.state !== 'voting' || !room.tie || room.tie.policy !== 'hostDecides') {
+          sendJson(400, { error: 'There is no tie for the host to break' });
+          return;
+        }
+        const { playerId } = data;
+        if (!room.tie.candidates.includes(playerId)) {
+          sendJson(400, { error: 'playerId must be one of the tied players' });
+          return;
+        }
+        markRoomChanged(room);
+        logEvent(room, 'tieBroken', { playerId });
+        const outcome = showResults(room, { decidedId: playerId });
+        sendJson(200, { results: outcome.results });
+      });
+    });
+    return;
+  }
+
+  // The caught impostor's last guess at the secret footballer.  Only
+  // accepted from that impostor while the results await it; the guess
+  // is compared ignoring case and accents (see guessMatches).
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/guess$/)) {
+    const roomId = pathname.split('/')[3];
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const player = authenticate(room);
+        if (!player) return;
+        if (room.state !== 'results' || room.awaiting !== 'impostorGuess') {
+          sendJson(400, { error: 'No guess is expected at this time' });
+          return;
+        }
+        if (player.id !== room.guessingPlayerId) {
+          sendJson(403, { error: 'Only the caught impostor may guess' });
+          return;
+        }
+        const { guess } = data;
+        if (typeof guess !== 'string' || !guess.trim()) {
           sendJson(400, { error: 'Invalid payload' });
           return;
         }
-        // Check if a player with this name already exists (case-insensitive)
-        const existing = room.players.find(
-          p => p.name.toLowerCase() === name.trim().toLowerCase(),
-        );
+        markRoomChanged(room);
+        const results = resolveImpostorGuess(room, guess.trim());
+        sendJson(200, { correct: results.impostorGuess.correct, results });
+      });
+    });
+    return;
+  }
+
+  // Join an existing room, or reconnect to a seat already held.
+  //
+  //   - Rejoin: a participant who lost their tab presents the session
+  //     token they received when they first joined (either as a
+  //     `token` field in the body or through the usual Authorization /
+  //     X-Player-Token headers).  The seat is handed back as is, so this
+  //     also works in the middle of a game.
+  //   - Claim: the names given to /api/create-room reserve seats.  The
+  //     first person to join with such a name claims the seat and
+  //     receives its token; afterwards the name is taken and can only
+  //     be reclaimed with the token.  Seats still unclaimed when the
+  //     game is dealt are released, and their names join as anyone else.
+  //   - New seat: any other name creates a new participant while the
+  //     room is in the lobby and below its `maxPlayers`.
+  //   - Spectate: once the game has started (or with `spectate: true`)
+  //     any other name joins as a spectator, who watches without
+  //     playing and is seated when the next game starts unless
+  //     `joinNextGame: false` is sent.  Rooms with `lateJoins`
+  //     disabled refuse new names once the game has started.
+  //
+  // Everyone but a rejoining participant must send the room's
+  // `password`, when it has one.  The room may be addressed by its short
+  // code instead of its id (e.g. POST /api/room/KXQPT/join); replies
+  // carry both.
+  if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/join$/)) {
+    const idOrCode = pathname.split('/')[3];
+    readJsonBody(data => {
+      const rejoinToken = getSessionToken(req) || (typeof data.token === 'string' ? data.token : null);
+      // The password is checked before the mutation, which must stay
+      // quick and may run more than once (see mutateRoom)
+      const checkPassword = roomId => (rejoinToken || typeof data.password !== 'string'
+        ? Promise.resolve(false)
+        : store.get(roomId).then(current => !!current && passwordMatches(current, data.password)));
+      resolveRoomId(idOrCode).then(roomId => checkPassword(roomId).then(passwordOk => withRoom(roomId, room => {
+        const { name } = data;
         let player;
-        if (existing) {
-          // If exists, use the existing player (do not duplicate)
-          player = existing;
+        let status;
+        if (rejoinToken) {
+          player = findPlayerByToken(room, rejoinToken);
+          const spectator = player ? null : findSpectatorByToken(room, rejoinToken);
+          if (spectator) {
+            markRoomChanged(room);
+            emitRoomEvent(room, 'spectatorJoined', { spectator: publicSpectator(spectator), rejoined: true });
+            sendSpectatorJoined(room, spectator, 200);
+            return;
+          }
+          if (!player) {
+            sendJson(403, { error: 'Invalid session token' });
+            return;
+          }
+          player.claimed = true;
+          status = 200;
+          emitRoomEvent(room, 'playerJoined', { player: publicPlayer(player), rejoined: true });
+          logEvent(room, 'playerJoined', { playerId: player.id, name: player.name, rejoined: true });
         } else {
-          // Check capacity: do not allow more players than expected
-          if (room.players.length >= (room.expectedPlayers || room.players.length)) {
-            sendJson(400, { error: 'No se pueden agregar más participantes a esta sala' });
+          if (!name || typeof name !== 'string' || !name.trim()) {
+            sendJson(400, { error: 'Invalid payload' });
             return;
           }
-          // Create new player and add to room with alive=true
-          player = {
-            id: generateId(),
-            name: name.trim(),
-            role: null,
-            assignedPlayer: null,
-            alive: true,
-          };
-          room.players.push(player);
+          // Newcomers need the room's password; rejoining with a token
+          // does not
+          if (room.password && !passwordOk) {
+            if (data.password === undefined) {
+              sendJson(401, { error: 'This room requires a password' });
+            } else {
+              sendJson(403, { error: 'Wrong room password' });
+            }
+            return;
+          }
+          if (name.trim().length > MAX_NAME_LENGTH) {
+            sendJson(400, { error: `Names can be at most ${MAX_NAME_LENGTH} characters long` });
+            return;
+          }
+          if (room.state !== 'lobby' && room.settings && room.settings.lateJoins === false) {
+            sendJson(403, { error: 'This room does not accept players once the game has started' });
+            return;
+          }
+          const spectate = data.spectate === true || room.state !== 'lobby';
+          // Check if a player or spectator with this name already exists
+          // (case-insensitive)
+          const sameName = p => p.name.toLowerCase() === name.trim().toLowerCase();
+          const existing = room.players.find(sameName);
+          if ((existing && (existing.claimed || spectate)) || (room.spectators || []).some(sameName)) {
+            // The name belongs to someone else; only its token can reclaim it
+            sendJson(409, { error: 'Ya hay un participante con ese nombre en la sala' });
+            return;
+          }
+          if (spectate) {
+            const spectator = {
+              id: generateId(),
+              token: generateToken(),
+              name: name.trim(),
+              joinNextGame: data.joinNextGame !== false,
+            };
+            if (!room.spectators) room.spectators = [];
+            room.spectators.push(spectator);
+            markRoomChanged(room);
+            emitRoomEvent(room, 'spectatorJoined', { spectator: publicSpectator(spectator), rejoined: false });
+            logEvent(room, 'spectatorJoined', { spectatorId: spectator.id, name: spectator.name });
+            sendSpectatorJoined(room, spectator, 201);
+            return;
+          }
+          if (existing) {
+            // Claim a seat reserved at room creation
+            existing.claimed = true;
+            player = existing;
+            status = 200;
+          } else {
+            // Check capacity: do not allow more players than expected
+            if (room.players.length >= tableLimits(room).maxPlayers) {
+              sendJson(400, { error: 'No se pueden agregar más participantes a esta sala' });
+              return;
+            }
+            // Create new player and add to room with alive=true
+            player = {
+              id: generateId(),
+              token: generateToken(),
+              name: name.trim(),
+              role: null,
+              assignedPlayer: null,
+              alive: true,
+              claimed: true,
+            };
+            room.players.push(player);
+            status = 201;
+          }
+          emitRoomEvent(room, 'playerJoined', { player: publicPlayer(player), rejoined: false });
+          logEvent(room, 'playerJoined', { playerId: player.id, name: player.name, rejoined: false });
         }
-        // Return the claimed or created player and the updated players list
-        sendJson(existing ? 200 : 201, {
-          player: player,
-          players: room.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            // Only reveal the name of the assigned player; hide the club.
-            assignedPlayer: p.assignedPlayer
-              ? { name: p.assignedPlayer.name }
-              : null,
-            alive: p.alive,
-          })),
+        markRoomChanged(room);
+        // Return the claimed or created player (private view) and the
+        // public players list, which carries no roles or assignments.
+        sendJson(status, {
+          player: privatePlayerView(player, room),
+          // Session token for this seat; required on every action route
+          // and to reconnect later.
+          token: player.token,
+          players: room.players.map(publicPlayer),
           state: room.state,
           creatorId: room.creatorId,
+          roomId: room.id,
+          code: room.code || null,
         });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
-      }
+      }))).catch(sendServerError);
     });
     return;
   }
@@ -743,28 +3810,22 @@ function handleApi(req, res, url) {
   //   - nextRound: begin a new game after the previous round ends
   if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/confirm$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    let body = '';
-    req.on('data', chunk => (body += chunk));
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        const { playerId, action } = data;
-        if (!playerId || !action) {
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const player = authenticate(room);
+        if (!player) return;
+        const { playerId: claimedId, action } = data;
+        if (!action) {
           sendJson(400, { error: 'Invalid payload' });
           return;
         }
-        if (!['start', 'votePhase', 'nextClue', 'nextRound', 'showResults'].includes(action)) {
-          sendJson(400, { error: 'Unsupported action' });
+        if (claimedId && claimedId !== player.id) {
+          sendJson(403, { error: 'Session token does not match playerId' });
           return;
         }
-        const player = room.players.find(p => p.id === playerId);
-        if (!player) {
-          sendJson(404, { error: 'Player not found' });
+        const playerId = player.id;
+        if (!['start', 'votePhase', 'nextClue', 'nextRound', 'showResults'].includes(action)) {
+          sendJson(400, { error: 'Unsupported action' });
           return;
         }
         // Validate that the action is allowed in the current state
@@ -800,6 +3861,11 @@ function handleApi(req, res, url) {
             }
             break;
         }
+        // A game cannot start with fewer players than the room's minimum
+        if ((action === 'start' || action === 'nextRound') && missingPlayers(room, action) > 0) {
+          sendJson(400, { error: `At least ${tableLimits(room).minPlayers} players are needed to start a game` });
+          return;
+        }
         // Check if player is allowed to confirm this action
         let required = requiredConfirmations(room, action);
         let relevantPlayers;
@@ -828,98 +3894,29 @@ function handleApi(req, res, url) {
           });
           return;
         }
-        // Record confirmation
+        // Record confirmation.  Everything below mutates the room.
         room.confirmations[action].push(playerId);
+        markRoomChanged(room);
+        logEvent(room, 'confirmation', { action, playerId });
         const currentCount = room.confirmations[action].length;
         const requiredCount = required;
+        emitRoomEvent(room, 'confirmation', {
+          action,
+          playerId,
+          current: currentCount,
+          required: requiredCount,
+        });
         // Check if enough confirmations gathered
         let executed = false;
         let resultData;
         if (currentCount >= requiredCount) {
           executed = true;
-          // Perform the action.  Clearing confirmations is handled within
-          // each case to allow showResults to validate votes before
-          // discarding confirmations.
-          switch (action) {
-            case 'start':
-              // Begin first round
-              assignRolesForRound(room);
-              room.state = 'clues';
-              room.awaiting = null;
-              // Clear confirmations for this action
-              room.confirmations.start = [];
-              break;
-            case 'votePhase':
-              startVotePhase(room);
-              room.confirmations.votePhase = [];
-              break;
-            case 'nextClue':
-              startNextClueRound(room);
-              room.confirmations.nextClue = [];
-              break;
-            case 'nextRound':
-              startNewGame(room);
-              room.confirmations.nextRound = [];
-              break;
-            case 'showResults':
-              // Before computing results, ensure that all alive players have voted
-              const aliveCount = room.players.filter(p => p.alive).length;
-              if (room.votes.length < aliveCount) {
-                // Not all votes have been cast; notify all players via room.errorMessage.
-                executed = false;
-                const msg = 'Aún hay jugadores que no han votado. Todos deben votar antes de ver los resultados.';
-                // Broadcast the error to all clients by storing it in the room
-                room.errorMessage = msg;
-                // Reset confirmations so players may confirm de nuevo
-                room.confirmations.showResults = [];
-                sendJson(400, { error: msg });
-                return;
-              }
-              // Check for a tie: if the highest vote count is shared by more than one player
-              const voteCounts = {};
-              room.votes.forEach(v => {
-                voteCounts[v.voteForId] = (voteCounts[v.voteForId] || 0) + 1;
-              });
-              let maxVotes = 0;
-              let tieCount = 0;
-              Object.values(voteCounts).forEach(count => {
-                if (count > maxVotes) {
-                  maxVotes = count;
-                  tieCount = 1;
-                } else if (count === maxVotes) {
-                  tieCount++;
-                }
-              });
-              if (tieCount > 1) {
-                // There is a tie; broadcast error and allow players to try again.
-                executed = false;
-                const msg = 'La votación está empatada. Debe haber una mayoría para eliminar a un jugador.';
-                room.errorMessage = msg;
-                // Clear votes so participants can vote again for a majority
-                room.votes = [];
-                // Clear confirmations so players can re‑confirm after discussing
-                room.confirmations.showResults = [];
-                sendJson(400, { error: msg });
-                return;
-              }
-              // All conditions satisfied; compute results and transition to results state
-              resultData = computeResults(room);
-              room.state = 'results';
-              room.gameOver = resultData.gameOver;
-              room.impostorWon = resultData.impostorWon;
-              room.awaiting = resultData.awaiting;
-              // Store the resultData to send to clients upon polling
-              room.resultsData = resultData;
-              // Clear any previous errorMessage now that the round is resolved
-              room.errorMessage = null;
-              // Clear all confirmations now that results have been computed.
-              room.confirmations.start = [];
-              room.confirmations.votePhase = [];
-              room.confirmations.nextClue = [];
-              room.confirmations.nextRound = [];
-              room.confirmations.showResults = [];
-              break;
+          const outcome = runConfirmedAction(room, action);
+          if (outcome.error) {
+            sendJson(400, { error: outcome.error });
+            return;
           }
+          resultData = outcome.results;
         }
         sendJson(200, {
           message: executed ? 'Action executed' : 'Confirmation recorded',
@@ -928,9 +3925,7 @@ function handleApi(req, res, url) {
           executed,
           results: resultData || null,
         });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
-      }
+      });
     });
     return;
   }
@@ -939,26 +3934,24 @@ function handleApi(req, res, url) {
   // invoke this endpoint to bypass the confirmation mechanism.
   if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/force$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    let body = '';
-    req.on('data', chunk => (body += chunk));
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
+    readJsonBody(data => {
+      withRoom(roomId, room => {
+        const host = authenticate(room);
+        if (!host) return;
         const { playerId, action } = data;
-        if (!playerId || !action) {
+        if (!action) {
           sendJson(400, { error: 'Invalid payload' });
           return;
         }
-        if (playerId !== room.creatorId) {
+        if (playerId && playerId !== host.id) {
+          sendJson(403, { error: 'Session token does not match playerId' });
+          return;
+        }
+        if (host.id !== room.creatorId) {
           sendJson(403, { error: 'Only the creator can force actions' });
           return;
         }
-        if (!['start', 'votePhase', 'nextClue', 'nextRound', 'showResults', 'resetVotes'].includes(action)) {
+        if (!['start', 'votePhase', 'nextClue', 'nextRound', 'showResults', 'resetVotes', 'skipGuess'].includes(action)) {
           sendJson(400, { error: 'Unsupported action' });
           return;
         }
@@ -994,6 +3987,17 @@ function handleApi(req, res, url) {
               return;
             }
             break;
+          case 'skipGuess':
+            // Settle the results without waiting for the impostor's guess
+            if (room.state !== 'results' || room.awaiting !== 'impostorGuess') {
+              sendJson(400, { error: 'No guess is expected at this time' });
+              return;
+            }
+            markRoomChanged(room);
+            logEvent(room, 'forced', { action, playerId: host.id });
+            resolveImpostorGuess(room, null);
+            sendJson(200, { message: 'Guess skipped' });
+            return;
           case 'resetVotes':
             // Only allow resetting votes during the voting phase
             if (room.state !== 'voting') {
@@ -1006,16 +4010,24 @@ function handleApi(req, res, url) {
             room.errorMessage = null;
             // Reset confirmations for showResults since the vote tally has changed
             room.confirmations.showResults = [];
+            markRoomChanged(room);
+            logEvent(room, 'forced', { action, playerId: host.id });
+            emitRoomEvent(room, 'votesReset', {});
             sendJson(200, { message: 'Votes reset' });
             return;
         }
-        // Execute immediately and clear confirmations
+        if ((action === 'start' || action === 'nextRound') && missingPlayers(room, action) > 0) {
+          sendJson(400, { error: `At least ${tableLimits(room).minPlayers} players are needed to start a game` });
+          return;
+        }
+        // Execute immediately and clear confirmations.  Everything below
+        // mutates the room.
         room.confirmations[action] = [];
+        markRoomChanged(room);
+        logEvent(room, 'forced', { action, playerId: host.id });
         switch (action) {
           case 'start':
-            assignRolesForRound(room);
-            room.state = 'clues';
-            room.awaiting = null;
+            startGame(room);
             break;
           case 'votePhase':
             startVotePhase(room);
@@ -1026,60 +4038,19 @@ function handleApi(req, res, url) {
           case 'nextRound':
             startNewGame(room);
             break;
-          case 'showResults':
+          case 'showResults': {
             // When forcing showResults we still honour the constraints that
             // all alive players must have voted and there must not be a tie.
-            const aliveCountForce = room.players.filter(p => p.alive).length;
-            if (room.votes.length < aliveCountForce) {
-              const msg = 'Aún hay jugadores que no han votado. Todos deben votar antes de ver los resultados.';
-              room.errorMessage = msg;
-              sendJson(400, { error: msg });
-              return;
-            }
-            // Compute vote counts and detect ties
-            const voteCountsForce = {};
-            room.votes.forEach(v => {
-              voteCountsForce[v.voteForId] = (voteCountsForce[v.voteForId] || 0) + 1;
-            });
-            let maxVotesForce = 0;
-            let tieCountForce = 0;
-            Object.values(voteCountsForce).forEach(count => {
-              if (count > maxVotesForce) {
-                maxVotesForce = count;
-                tieCountForce = 1;
-              } else if (count === maxVotesForce) {
-                tieCountForce++;
-              }
-            });
-            if (tieCountForce > 1) {
-              const msg = 'La votación está empatada. Debe haber una mayoría para eliminar a un jugador.';
-              room.errorMessage = msg;
-              // Clear votes to allow participants to vote again
-              room.votes = [];
-              sendJson(400, { error: msg });
+            const outcome = showResults(room);
+            if (outcome.error) {
+              sendJson(400, { error: outcome.error });
               return;
             }
-            // All conditions satisfied: compute results
-            const result = computeResults(room);
-            room.state = 'results';
-            room.gameOver = result.gameOver;
-            room.impostorWon = result.impostorWon;
-            room.awaiting = result.awaiting;
-            room.resultsData = result;
-            // Clear any previous error message
-            room.errorMessage = null;
-            // Reset all confirmations
-            room.confirmations.start = [];
-            room.confirmations.votePhase = [];
-            room.confirmations.nextClue = [];
-            room.confirmations.nextRound = [];
-            room.confirmations.showResults = [];
             break;
+          }
         }
         sendJson(200, { message: 'Action forced' });
-      } catch (e) {
-        sendJson(400, { error: 'Invalid JSON' });
-      }
+      });
     });
     return;
   }
@@ -1087,86 +4058,35 @@ function handleApi(req, res, url) {
   // Advance to results phase and return results
   if (req.method === 'POST' && pathname.match(/^\/api\/room\/[^\/]+\/results$/)) {
     const roomId = pathname.split('/')[3];
-    const room = rooms[roomId];
-    if (!room) {
-      sendJson(404, { error: 'Room not found' });
-      return;
-    }
-    if (room.state !== 'voting') {
-      sendJson(400, { error: 'Cannot show results from current state' });
-      return;
-    }
-    // Copy votes to return but do not clear them yet; the clues and votes
-    // remain available for the results page until the next action.
-    const votesCopy = room.votes.slice();
-    // Compute vote counts and determine the accused (alive) player with most votes
-    const counts = {};
-    room.votes.forEach(v => {
-      counts[v.voteForId] = (counts[v.voteForId] || 0) + 1;
-    });
-    let maxVotes = 0;
-    let accusedId = null;
-    Object.entries(counts).forEach(([pid, count]) => {
-      if (count > maxVotes) {
-        maxVotes = count;
-        accusedId = pid;
-      }
-    });
-    const impostor = room.players.find(p => p.role === 'impostor');
-    const impostorId = impostor ? impostor.id : null;
-    const success = accusedId && accusedId === impostorId;
-    let gameOver = false;
-    let impostorWon = false;
-    // Always transition to results state; awaiting will indicate next step
-    room.state = 'results';
-    if (success) {
-      // Impostor discovered: players win.  No need to eliminate anyone.
-      gameOver = true;
-      impostorWon = false;
-      room.awaiting = 'nextRound';
-    } else {
-      // Wrongly accused: eliminate accused player (alive=false)
-      if (accusedId) {
-        const accused = room.players.find(p => p.id === accusedId);
-        if (accused) {
-          accused.alive = false;
-        }
+    withRoom(roomId, room => {
+      if (!authenticateHost(room)) return;
+      if (room.state !== 'voting') {
+        sendJson(400, { error: 'Cannot show results from current state' });
+        return;
       }
-      // If after elimination only two players remain alive, impostor wins
-      const aliveCount = room.players.filter(p => p.alive).length;
-      if (aliveCount <= 2) {
-        gameOver = true;
-        impostorWon = true;
-        room.awaiting = 'nextRound';
-      } else {
-        // Otherwise continue with another clue round; await next clue
-        gameOver = false;
-        impostorWon = false;
-        room.awaiting = 'nextClue';
+      // The host tallies right away: players who have not voted are
+      // treated as abstaining, as when the voting timer runs out.  Ties
+      // and the rest of the results go through showResults, like /confirm
+      // and /force; a tie the host decides still waits for /tie-break.
+      markRoomChanged(room);
+      const outcome = showResults(room, { abstainMissing: true });
+      if (outcome.error) {
+        sendJson(400, { error: outcome.error });
+        return;
       }
-    }
-    room.gameOver = gameOver;
-    room.impostorWon = impostorWon;
-    // Set confirmations for upcoming action to empty
-    Object.keys(room.confirmations).forEach(key => {
-      room.confirmations[key] = [];
-    });
-    // Reveal the soccer player's name only when the game has ended.
-    const soccerPlayerName = gameOver ? (room.soccerPlayer ? room.soccerPlayer.name : null) : null;
-    // Build response without revealing the impostor's identity.  Include
-    // the soccerPlayerName when the game concludes.
-    sendJson(200, {
-      message: success
-        ? 'El impostor fue descubierto'
-        : gameOver
-        ? 'El impostor gana por quedar sólo con un jugador'
-        : 'El impostor no fue descubierto, próxima ronda',
-      success,
-      gameOver,
-      impostorWon,
-      votes: votesCopy,
-      remainingPlayers: room.players.map(p => ({ id: p.id, name: p.name, alive: p.alive })),
-      soccerPlayerName,
+      const resultData = outcome.results;
+      // Build response without revealing the impostors' identity.  The
+      // soccerPlayerName is only included when the game concludes.
+      sendJson(200, {
+        message: resultData.message,
+        success: resultData.success,
+        gameOver: resultData.gameOver,
+        impostorWon: resultData.impostorWon,
+        awaiting: resultData.awaiting,
+        votes: resultData.votes,
+        remainingPlayers: resultData.remainingPlayers,
+        soccerPlayerName: resultData.soccerPlayerName,
+      });
     });
     return;
   }
@@ -1200,8 +4120,39 @@ const server = http.createServer((req, res) => {
   }
 });
 
+// Stores that buffer writes (the memory store's snapshot) persist any
+// pending changes before the process goes away (deploys send SIGTERM,
+// Ctrl+C sends SIGINT).
+if (typeof store.flushSync === 'function') {
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+      try {
+        store.flushSync();
+      } catch (e) {
+        console.error(`Failed to persist rooms: ${e.message}`);
+      }
+      process.exit(0);
+    });
+  });
+}
+
+watchRemoteChanges();
+
+// Re-arm the phase timers of the rooms that survived a restart.
+store.list()
+  .then(rooms => rooms.forEach(schedulePhaseTimer))
+  .catch(err => console.error(`Failed to restore phase timers: ${err.message}`));
+
+setInterval(() => {
+  sweepRooms().catch(err => console.error(`Room sweep failed: ${err.message}`));
+}, ROOM_SWEEP_INTERVAL_MS).unref();
+
+setInterval(() => {
+  sweepPresence().catch(err => console.error(`Presence sweep failed: ${err.message}`));
+}, PRESENCE_SWEEP_INTERVAL_MS).unref();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Server running on http://localhost:${PORT} (${store.name} room store)`);
 });
 
@@ -1,15 +1,17 @@
 // Updated mock data set of real football players.  Each object contains
 // the player's name and a notable European club where they played.  Images
-// are omitted (set to null) but can be added later if desired.  This list
+// are omitted (set to null) but can be added later if desired.  Players
+// better known by another name than their surname list it in `aliases`,
+// which counts as a correct guess (see guessMatches).  This list
 // is compiled from the top Ballon d'Or rankings between 1990 and 2023 and
 // includes 100 well‑known players who all spent part of their careers at
 // European clubs.
 
 module.exports = [
-  { name: "Lionel Messi", club: "FC Barcelona", image: null },
-  { name: "Cristiano Ronaldo", club: "Real Madrid", image: null },
+  { name: "Lionel Messi", club: "FC Barcelona", image: null, aliases: ["Leo Messi"] },
+  { name: "Cristiano Ronaldo", club: "Real Madrid", image: null, aliases: ["Cristiano", "CR7"] },
   { name: "Zinedine Zidane", club: "Real Madrid", image: null },
-  { name: "Ronaldo Nazário", club: "Inter Milan", image: null },
+  { name: "Ronaldo Nazário", club: "Inter Milan", image: null, aliases: ["Ronaldo", "R9"] },
   { name: "Ronaldinho", club: "FC Barcelona", image: null },
   { name: "Pele", club: "Santos", image: null },
   { name: "Marco van Basten", club: "AC Milan", image: null },
@@ -26,7 +28,7 @@ module.exports = [
   { name: "Fabio Cannavaro", club: "Juventus", image: null },
   { name: "Luka Modrić", club: "Real Madrid", image: null },
   { name: "Thierry Henry", club: "Arsenal", image: null },
-  { name: "Xavi Hernández", club: "FC Barcelona", image: null },
+  { name: "Xavi Hernández", club: "FC Barcelona", image: null, aliases: ["Xavi"] },
   { name: "Andrés Iniesta", club: "FC Barcelona", image: null },
   { name: "Neymar Jr.", club: "Paris Saint‑Germain", image: null },
   { name: "Luis Suárez", club: "FC Barcelona", image: null },
@@ -68,7 +70,7 @@ module.exports = [
   { name: "Oliver Kahn", club: "Bayern Munich", image: null },
   { name: "Peter Schmeichel", club: "Manchester United", image: null },
   { name: "Clarence Seedorf", club: "AC Milan", image: null },
-  { name: "Cesc Fàbregas", club: "Arsenal", image: null },
+  { name: "Cesc Fàbregas", club: "Arsenal", image: null, aliases: ["Cesc"] },
   { name: "Xabi Alonso", club: "Liverpool", image: null },
   { name: "Wesley Sneijder", club: "Inter Milan", image: null },
   { name: "Miroslav Klose", club: "Bayern Munich", image: null },
@@ -77,15 +79,15 @@ module.exports = [
   { name: "Fernando Torres", club: "Liverpool", image: null },
   { name: "Nemanja Vidić", club: "Manchester United", image: null },
   { name: "John Terry", club: "Chelsea", image: null },
-  { name: "Raúl González", club: "Real Madrid", image: null },
+  { name: "Raúl González", club: "Real Madrid", image: null, aliases: ["Raúl"] },
   { name: "Thomas Muller", club: "Bayern Munich", image: null },
   { name: "Pavel Nedvěd", club: "Juventus", image: null },
   { name: "Deco", club: "FC Barcelona", image: null },
-  { name: "Zlatan Ibrahimović", club: "AC Milan", image: null },
-  { name: "Sergio Aguero", club: "Manchester City", image: null },
+  { name: "Zlatan Ibrahimović", club: "AC Milan", image: null, aliases: ["Zlatan"] },
+  { name: "Sergio Aguero", club: "Manchester City", image: null, aliases: ["Kun Agüero", "Kun"] },
   { name: "Fernando Gago", club: "Boca Juniors", image: null },
   { name: "Carlos Tévez", club: "Juventus", image: null },
-  { name: "Juan Sebastián Verón", club: "Lazio", image: null },
+  { name: "Juan Sebastián Verón", club: "Lazio", image: null, aliases: ["La Brujita"] },
   { name: "Bastian Schweinsteiger", club: "Bayern Munich", image: null },
   { name: "Patrick Vieira", club: "Arsenal", image: null },
   { name: "Dennis Bergkamp", club: "Arsenal", image: null },
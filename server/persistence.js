@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Snapshot persistence for rooms.  The whole `rooms` map is written as
+// a single JSON document so that games in progress survive a deploy or
+// a crash.  Writes are debounced: many mutations in quick succession
+// (e.g. every player confirming an action) result in a single write.
+// Each write goes to a temporary file which is then renamed over the
+// snapshot, so a crash in the middle of a write never leaves a
+// truncated file behind.
+
+/**
+ * Reads a snapshot written by createSnapshotScheduler.  Returns an
+ * object mapping room ids to rooms, or an empty object when there is
+ * no snapshot yet.  A corrupt snapshot is reported and ignored rather
+ * than preventing the server from booting.
+ *
+ * @param {string} file Absolute path of the snapshot
+ * @returns {Object}
+ */
+function loadSnapshot(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+  try {
+    const data = JSON.parse(raw);
+    const rooms = {};
+    (Array.isArray(data.rooms) ? data.rooms : []).forEach(room => {
+      if (room && typeof room.id === 'string') rooms[room.id] = room;
+    });
+    return rooms;
+  } catch (e) {
+    console.error(`Ignoring unreadable room snapshot ${file}: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Serialises the rooms into the snapshot format.
+ *
+ * @param {Object} rooms Map of room id to room
+ */
+function serializeSnapshot(rooms) {
+  return JSON.stringify({ savedAt: new Date().toISOString(), rooms: Object.values(rooms) });
+}
+
+/**
+ * Creates a debounced writer for the rooms snapshot.
+ *
+ *   - schedule(): request a write; it happens `delayMs` after the
+ *     first request, coalescing every request made in between.
+ *   - flushSync(): write immediately and synchronously.  Used when the
+ *     process is about to exit.
+ *
+ * @param {string} file Absolute path of the snapshot
+ * @param {Function} getRooms Returns the current map of rooms
+ * @param {number} delayMs Debounce delay in milliseconds
+ */
+function createSnapshotScheduler(file, getRooms, delayMs) {
+  const tmpFile = `${file}.tmp`;
+  let timer = null;
+  let writing = false;
+  let dirty = false;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const write = () => {
+    timer = null;
+    if (writing) {
+      // A write is in flight; run again once it completes
+      dirty = true;
+      return;
+    }
+    writing = true;
+    dirty = false;
+    fs.writeFile(tmpFile, serializeSnapshot(getRooms()), err => {
+      const done = renameErr => {
+        writing = false;
+        if (err || renameErr) {
+          console.error(`Failed to persist rooms: ${(err || renameErr).message}`);
+        }
+        if (dirty) schedule();
+      };
+      if (err) {
+        done();
+        return;
+      }
+      fs.rename(tmpFile, file, done);
+    });
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(write, delayMs);
+  };
+
+  const flushSync = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    fs.writeFileSync(tmpFile, serializeSnapshot(getRooms()));
+    fs.renameSync(tmpFile, file);
+  };
+
+  return { schedule, flushSync };
+}
+
+module.exports = { loadSnapshot, createSnapshotScheduler };
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { loadSnapshot, createSnapshotScheduler } = require('./persistence');
+
+// Room stores.  The HTTP handlers never touch a rooms map directly;
+// they go through a store exposing the same asynchronous interface
+// regardless of the backend:
+//
+//   - get(id):                  resolves with a copy of the room, or null
+//   - create(room):             resolves with false if the id is taken
+//   - update(room, expected):   compare-and-set; stores the room only if
+//                               the stored version still equals
+//                               `expected` and resolves with whether it
+//                               did.  Callers re-read and retry on false.
+//   - delete(id, [expected]):   resolves with whether a room was removed;
+//                               with `expected`, only removes it if its
+//                               version still matches
+//   - list():                   resolves with copies of every room
+//   - watch(listener):          optional; calls listener(roomId) when a
+//                               room is changed or removed by another
+//                               instance
+//   - flushSync():              optional; persists pending writes before
+//                               the process exits
+//
+// Rooms are plain JSON data and every read returns a fresh copy, so a
+// handler's changes only become visible once `update` accepts them.
+//
+// Two backends are provided:
+//
+//   - memory: a single process keeps all rooms, optionally snapshotted
+//     to a JSON file (see persistence.js).  The default.
+//   - file:   one JSON document per room in a shared directory, with a
+//     lock file per room guarding compare-and-set.  Several server
+//     instances pointing at the same directory can run behind a load
+//     balancer.
+
+/**
+ * Deep-copies a room.  Rooms only hold JSON data, so a JSON round trip
+ * gives every backend the same copy semantics.
+ *
+ * @param {Object} room
+ */
+function cloneRoom(room) {
+  return JSON.parse(JSON.stringify(room));
+}
+
+/**
+ * Creates the in-memory store.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.snapshotFile] JSON file the rooms are
+ *   snapshotted to and restored from; omit to keep rooms in memory only
+ * @param {number} [options.debounceMs] Debounce applied to snapshot writes
+ */
+function createMemoryRoomStore(options = {}) {
+  const rooms = options.snapshotFile ? loadSnapshot(options.snapshotFile) : {};
+  const restored = Object.keys(rooms).length;
+  if (restored > 0) {
+    console.log(`Restored ${restored} room(s) from ${options.snapshotFile}`);
+  }
+  const snapshots = options.snapshotFile
+    ? createSnapshotScheduler(options.snapshotFile, () => rooms, options.debounceMs || 500)
+    : null;
+  const changed = () => {
+    if (snapshots) snapshots.schedule();
+  };
+
+  return {
+    name: 'memory',
+    async get(id) {
+      return rooms[id] ? cloneRoom(rooms[id]) : null;
+    },
+    async create(room) {
+      if (rooms[room.id]) return false;
+      rooms[room.id] = cloneRoom(room);
+      changed();
+      return true;
+    },
+    async update(room, expectedVersion) {
+      const current = rooms[room.id];
+      if (!current || current.version !== expectedVersion) return false;
+      rooms[room.id] = cloneRoom(room);
+      changed();
+      return true;
+    },
+    async delete(id, expectedVersion) {
+      if (!rooms[id]) return false;
+      if (expectedVersion !== undefined && rooms[id].version !== expectedVersion) return false;
+      delete rooms[id];
+      changed();
+      return true;
+    },
+    async list() {
+      return Object.values(rooms).map(cloneRoom);
+    },
+    flushSync() {
+      if (snapshots) snapshots.flushSync();
+    },
+  };
+}
+
+/**
+ * Creates the file-backed store shared between server instances.
+ *
+ * @param {Object} options
+ * @param {string} options.dir Directory holding one `<roomId>.json` per room
+ * @param {number} [options.lockTimeoutMs] How long to wait for a room lock
+ * @param {number} [options.staleLockMs] Age after which a lock left
+ *   behind by a crashed instance is broken
+ */
+function createFileRoomStore(options) {
+  const dir = options.dir;
+  const lockTimeoutMs = options.lockTimeoutMs || 5000;
+  const staleLockMs = options.staleLockMs || 10000;
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Room ids end up in file names; refuse anything that is not a plain
+  // token so a crafted id can never address a file outside `dir`.
+  const validId = id => typeof id === 'string' && /^[A-Za-z0-9_-]+$/.test(id);
+  const roomFile = id => path.join(dir, `${id}.json`);
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  const readRoom = async id => {
+    try {
+      return JSON.parse(await fsp.readFile(roomFile(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  };
+
+  // Writes go to a temporary file renamed over the room file, so
+  // readers (which do not take the lock) never see a partial document.
+  const writeRoom = async room => {
+    const tmp = path.join(dir, `${room.id}.${randomBytes(6).toString('hex')}.tmp`);
+    await fsp.writeFile(tmp, JSON.stringify(room));
+    await fsp.rename(tmp, roomFile(room.id));
+  };
+
+  // Runs `fn` while holding the lock of one room.  The lock is a file
+  // created with O_EXCL, which is atomic across processes.
+  const withLock = async (id, fn) => {
+    const lockFile = path.join(dir, `${id}.lock`);
+    const started = Date.now();
+    for (;;) {
+      try {
+        const handle = await fsp.open(lockFile, 'wx');
+        await handle.close();
+        break;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+      try {
+        const stats = await fsp.stat(lockFile);
+        if (Date.now() - stats.mtimeMs > staleLockMs) {
+          await fsp.unlink(lockFile).catch(() => {});
+          continue;
+        }
+      } catch (e) {
+        // The lock vanished between open and stat; try again right away
+        continue;
+      }
+      if (Date.now() - started > lockTimeoutMs) {
+        throw new Error(`Timed out waiting for the lock of room ${id}`);
+      }
+      await sleep(5 + Math.floor(Math.random() * 20));
+    }
+    try {
+      return await fn();
+    } finally {
+      await fsp.unlink(lockFile).catch(() => {});
+    }
+  };
+
+  return {
+    name: 'file',
+    async get(id) {
+      if (!validId(id)) return null;
+      return readRoom(id);
+    },
+    async create(room) {
+      if (!validId(room.id)) return false;
+      return withLock(room.id, async () => {
+        if (await readRoom(room.id)) return false;
+        await writeRoom(room);
+        return true;
+      });
+    },
+    async update(room, expectedVersion) {
+      if (!validId(room.id)) return false;
+      return withLock(room.id, async () => {
+        const current = await readRoom(room.id);
+        if (!current || current.version !== expectedVersion) return false;
+        await writeRoom(room);
+        return true;
+      });
+    },
+    async delete(id, expectedVersion) {
+      if (!validId(id)) return false;
+      return withLock(id, async () => {
+        if (expectedVersion !== undefined) {
+          const current = await readRoom(id);
+          if (!current || current.version !== expectedVersion) return false;
+        }
+        try {
+          await fsp.unlink(roomFile(id));
+          return true;
+        } catch (e) {
+          if (e.code === 'ENOENT') return false;
+          throw e;
+        }
+      });
+    },
+    async list() {
+      const files = await fsp.readdir(dir);
+      const rooms = await Promise.all(
+        files
+          .filter(f => f.endsWith('.json'))
+          .map(f => readRoom(f.slice(0, -'.json'.length))),
+      );
+      return rooms.filter(Boolean);
+    },
+    watch(listener) {
+      // Every committed write ends with a rename onto `<id>.json`, and
+      // a removal unlinks it
+      const watcher = fs.watch(dir, { persistent: false }, (event, filename) => {
+        if (filename && filename.endsWith('.json')) {
+          listener(filename.slice(0, -'.json'.length));
+        }
+      });
+      watcher.on('error', err => console.error(`Room store watcher failed: ${err.message}`));
+      return () => watcher.close();
+    },
+  };
+}
+
+/**
+ * Creates the store selected by the environment:
+ *
+ *   - ROOM_STORE=memory (default): in-memory rooms snapshotted to
+ *     ROOMS_FILE (default `data/rooms.json`; empty to disable), with
+ *     writes debounced by PERSIST_DEBOUNCE_MS.
+ *   - ROOM_STORE=file: rooms shared through ROOM_STORE_DIR (default
+ *     `data/rooms`).
+ *
+ * @param {Object} env Usually `process.env`
+ */
+function createRoomStore(env) {
+  const kind = env.ROOM_STORE || 'memory';
+  if (kind === 'file') {
+    return createFileRoomStore({
+      dir: path.resolve(env.ROOM_STORE_DIR || path.join(__dirname, 'data', 'rooms')),
+    });
+  }
+  if (kind === 'memory') {
+    const snapshotFile = env.ROOMS_FILE !== undefined
+      ? env.ROOMS_FILE
+      : path.join(__dirname, 'data', 'rooms.json');
+    return createMemoryRoomStore({
+      snapshotFile: snapshotFile ? path.resolve(snapshotFile) : null,
+      debounceMs: parseInt(env.PERSIST_DEBOUNCE_MS, 10) || 500,
+    });
+  }
+  throw new Error(`Unknown ROOM_STORE "${kind}"`);
+}
+
+module.exports = { createRoomStore, createMemoryRoomStore, createFileRoomStore };